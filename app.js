@@ -10,18 +10,36 @@
 
 const state = {
     tasks: [],
+    serverSnapshot: [], // Tasks exactly as the server sent them (before local changes)
+    conflicts: [], // Local changes that clash with newer server data
+    pendingDeletes: {}, // taskId -> { task, timer } while the delete can still be undone
     skills: [],
     agents: [],
-    healthLog: [],
+    healthLog: [], // Latest health runs (newest first) from /api/health-log
+    healthResults: null, // Last analysis shown in the health modal
     filters: {
         source: 'all',
         status: 'all',
         search: ''
     },
     recentFixes: [],
-    viewMode: 'board', // 'board' or 'list'
+    viewMode: 'board', // 'board', 'list' or 'graph'
+    editingTaskId: null, // Task open in the edit modal (null = new task)
+    boardGroupBy: 'session', // 'session' or 'status'
+    sortBy: 'default', // 'default' or a SORT_KEYS key
+    swimlane: 'none', // 'none' or a SWIMLANES key
     healthCheckRunning: false,
-    dragData: null // For tracking skill/agent drags
+    dragData: null, // For tracking skill/agent drags
+    retriesInFlight: new Set(), // Task ids with a retry request pending
+    syncing: false, // Offline queues are being flushed
+    syncingStores: new Set(), // Local change stores with a sync pass in flight
+    resyncStores: new Set(), // ...and those changed again during that pass
+    runs: {}, // Live runs by runId (output, status, subscription)
+    activeRunId: null, // Run shown in the run console
+    liveUpdates: false, // Push channel (/api/events) connected - polling stands down
+    selectedTaskIds: new Set(), // Cards picked for bulk actions
+    lastSelectedTaskId: null, // Anchor for shift-click range selection
+    notifications: [] // Notification center entries (newest first), persisted in localStorage
 };
 
 // ============================================================
@@ -32,13 +50,45 @@ const CONFIG = {
     dataPath: 'data/tasks.json',
     refreshInterval: 60000, // 1 minute
     toastDuration: 3000,
+    undoDuration: 6000, // How long a deleted task can be restored
+    // Completed tasks are archived after this many days (override via localStorage 'auto_archive_days', 0 = off)
+    autoArchiveDays: 7,
     localServerUrl: 'http://127.0.0.1:3847',
-    serverCheckInterval: 30000 // Check server status every 30 seconds
+    defaultWorkingDir: 'C:\\Users\\user\\Desktop', // Used when a task has no working_dir
+    claudeExecutable: 'C:\\Users\\user\\.local\\bin\\claude.exe', // Full path used by the "Claude path not found" fix
+    serverCheckInterval: 30000, // Check server status every 30 seconds
+    runPollInterval: 2000, // Run status polling when SSE isn't available
+    runOutputLimit: 100000, // Max characters of output kept per run
+    runHistoryLimit: 20, // Runs remembered per task
+    healthLogPageSize: 20, // Health runs per history page
+    healthTrendPoints: 100, // Health runs plotted in the trend chart
+    healthHistoryLimit: 200, // Health runs kept in this browser while the server is offline
+    notificationLimit: 100, // Notifications kept in the notification center
+    // Automatic retry of failed scheduled tasks (override via localStorage 'retry_policy')
+    retryPolicy: {
+        autoRetryScheduled: true,
+        maxAttempts: 3,
+        baseDelay: 60000, // 1 minute, doubled on every attempt
+        maxDelay: 3600000 // Never wait more than 1 hour
+    },
+    // When the health check flags a task as stuck (override via localStorage 'stuck_thresholds')
+    stuckThresholds: {
+        inProgressMinutes: 30, // In progress without a heartbeat
+        missedScheduleMinutes: 10, // Past next_run without a run
+        pendingDays: 7 // Pending without any activity
+    }
 };
 
 // Server connectivity state
 let serverAvailable = false;
 
+// Scheduler loop state reported by the server in /api/status (null = not reported)
+let schedulerState = null;
+
+// Server push channel (EventSource on /api/events) while connected
+let eventStream = null;
+let eventStreamOpenedOnce = false;
+
 // API URL helper - always use relative paths since dashboard is local-only
 function getApiUrl(endpoint) {
     return endpoint; // e.g., "/api/status"
@@ -59,13 +109,26 @@ async function checkServerStatus() {
 
         if (response.ok) {
             const data = await response.json();
+            const wasAvailable = serverAvailable;
             serverAvailable = data.success === true;
+            schedulerState = data.scheduler || null;
             updateServerStatusUI();
+            updateSchedulerStatusUI();
+
+            // Server just came back (or the page just loaded) - push changes made while
+            // it was offline, then reload tasks from /api/tasks and the server's health log
+            if (serverAvailable && !wasAvailable) {
+                flushSyncQueues().finally(() => loadTasks());
+                loadHealthLog();
+            }
+            if (serverAvailable) connectEventStream();
             return serverAvailable;
         }
     } catch (error) {
         serverAvailable = false;
+        schedulerState = null;
         updateServerStatusUI();
+        updateSchedulerStatusUI();
     }
     return false;
 }
@@ -90,8 +153,10 @@ function updateServerStatusUI() {
     if (indicator) {
         if (serverAvailable) {
             indicator.innerHTML = '🟢';
-            indicator.title = 'Local server running - Tasks can execute directly';
-            indicator.className = 'server-status online';
+            indicator.title = state.liveUpdates
+                ? 'Local server running - Live updates connected'
+                : 'Local server running - Tasks can execute directly';
+            indicator.className = `server-status online ${state.liveUpdates ? 'live' : ''}`;
         } else {
             indicator.innerHTML = '🔴';
             indicator.title = 'Local server offline - Run start-server.bat to enable task execution';
@@ -100,6 +165,37 @@ function updateServerStatusUI() {
     }
 }
 
+/**
+ * Show the server's scheduler loop state in the health banner
+ */
+function updateSchedulerStatusUI() {
+    const el = document.getElementById('schedulerStatus');
+    if (!el) return;
+
+    if (!serverAvailable || !schedulerState) {
+        el.textContent = '⏰ מתזמן: לא זמין';
+        el.className = 'scheduler-status offline';
+        el.title = serverAvailable
+            ? 'Server does not report a scheduler - scheduled tasks rely on Windows Task Scheduler'
+            : 'Local server offline - scheduled tasks will not run';
+        return;
+    }
+
+    const { running, lastTick, nextRun, nextTaskId, dueCount, activeRuns } = schedulerState;
+    const nextTask = nextTaskId ? state.tasks.find(t => t.id === nextTaskId) : null;
+
+    el.className = `scheduler-status ${running ? 'online' : 'paused'}`;
+    el.textContent = running
+        ? `⏰ מתזמן פעיל${nextRun ? ` · הבא: ${formatDate(nextRun)}` : ''}`
+        : '⏰ מתזמן מושהה';
+    el.title = [
+        `Last tick: ${lastTick ? formatDate(lastTick) : '-'}`,
+        nextTask ? `Next task: ${nextTask.subject}` : null,
+        `Due now: ${dueCount || 0}`,
+        `Running: ${activeRuns || 0}`
+    ].filter(Boolean).join('\n');
+}
+
 // ============================================================
 // UTILITIES
 // ============================================================
@@ -134,6 +230,9 @@ function formatRelativeTime(dateStr) {
     return `לפני ${Math.floor(diffMin / 1440)} ימים`;
 }
 
+// Board status columns, in display order
+const TASK_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'cancelled'];
+
 /**
  * Get status display info
  */
@@ -142,7 +241,8 @@ function getStatusInfo(status) {
         pending: { text: 'ממתין', icon: '⏳', class: 'pending' },
         in_progress: { text: 'בביצוע', icon: '🔄', class: 'in_progress' },
         completed: { text: 'הושלם', icon: '✅', class: 'completed' },
-        failed: { text: 'נכשל', icon: '❌', class: 'failed' }
+        failed: { text: 'נכשל', icon: '❌', class: 'failed' },
+        cancelled: { text: 'בוטל', icon: '⏹️', class: 'cancelled' }
     };
     return statuses[status] || statuses.pending;
 }
@@ -159,6 +259,190 @@ function getSourceInfo(source) {
     return sources[source] || { text: source, icon: '📄' };
 }
 
+// ============================================================
+// SCHEDULING
+// ============================================================
+
+/*
+ * Schedule shapes (task.schedule):
+ *   { type: 'once', time: '2026-01-29T23:16' }
+ *   { type: 'interval', every: 15, unit: 'minutes' | 'hours', start: ISO }
+ *   { type: 'daily', time: '09:00' }
+ *   { type: 'weekdays', days: [0, 1, 2, 3, 4], time: '09:00' }   (0 = Sunday)
+ *   { type: 'cron', expression: '0 9 * * 1' }
+ */
+
+const DAY_NAMES = ['א׳', 'ב׳', 'ג׳', 'ד׳', 'ה׳', 'ו׳', 'ש׳'];
+
+/**
+ * Next time a schedule fires after `from`, or null if it never will
+ */
+function getNextRun(schedule, from = new Date()) {
+    if (!schedule) return null;
+    const fromMs = from.getTime();
+
+    switch (schedule.type) {
+        case 'once': {
+            const time = new Date(schedule.time);
+            return time.getTime() > fromMs ? time : null;
+        }
+
+        case 'interval': {
+            const period = schedule.every * (schedule.unit === 'hours' ? 3600000 : 60000);
+            if (!(period > 0)) return null;
+            const start = new Date(schedule.start || fromMs).getTime();
+            if (start > fromMs) return new Date(start);
+            const periods = Math.floor((fromMs - start) / period) + 1;
+            return new Date(start + periods * period);
+        }
+
+        case 'daily':
+        case 'weekdays': {
+            const [hours, minutes] = (schedule.time || '').split(':').map(Number);
+            if (!Number.isInteger(hours) || !Number.isInteger(minutes)) return null;
+            const days = schedule.type === 'daily' ? [0, 1, 2, 3, 4, 5, 6] : (schedule.days || []);
+
+            for (let offset = 0; offset <= 7; offset++) {
+                const candidate = new Date(from);
+                candidate.setDate(candidate.getDate() + offset);
+                candidate.setHours(hours, minutes, 0, 0);
+                if (candidate.getTime() > fromMs && days.includes(candidate.getDay())) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+
+        case 'cron': {
+            const cron = parseCron(schedule.expression);
+            return cron ? getNextCronRun(cron, from) : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Next run for a task: stored next_run if still ahead, otherwise computed
+ */
+function getTaskNextRun(task) {
+    if (!task.schedule) return null;
+    if (task.next_run && new Date(task.next_run) > new Date()) return new Date(task.next_run);
+    return getNextRun(task.schedule);
+}
+
+function isRecurringSchedule(schedule) {
+    return !!schedule && schedule.type !== 'once';
+}
+
+/**
+ * Human readable schedule
+ */
+function describeSchedule(schedule) {
+    if (!schedule) return '';
+    switch (schedule.type) {
+        case 'once':
+            return `חד-פעמי: ${formatDate(schedule.time)}`;
+        case 'interval':
+            return `כל ${schedule.every} ${schedule.unit === 'hours' ? 'שעות' : 'דקות'}`;
+        case 'daily':
+            return `יומי ב-${schedule.time}`;
+        case 'weekdays':
+            return `${(schedule.days || []).map(d => DAY_NAMES[d]).join(' ')} ב-${schedule.time}`;
+        case 'cron':
+            return `cron: ${schedule.expression}`;
+    }
+    return schedule.type;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * Supports *, lists, ranges and steps. Returns null if invalid.
+ */
+function parseCron(expression) {
+    const fields = (expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) return null;
+
+    const minutes = parseCronField(fields[0], 0, 59);
+    const hours = parseCronField(fields[1], 0, 23);
+    const days = parseCronField(fields[2], 1, 31);
+    const months = parseCronField(fields[3], 1, 12);
+    const weekdays = parseCronField(fields[4], 0, 7);
+    if (!minutes || !hours || !days || !months || !weekdays) return null;
+
+    // 7 is Sunday too
+    if (weekdays.has(7)) {
+        weekdays.delete(7);
+        weekdays.add(0);
+    }
+
+    return {
+        minutes, hours, days, months, weekdays,
+        anyDay: fields[2].startsWith('*'),
+        anyWeekday: fields[4].startsWith('*')
+    };
+}
+
+function parseCronField(field, min, max) {
+    const toInt = (str) => /^\d+$/.test(str) ? parseInt(str, 10) : NaN;
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const [range, stepStr] = part.split('/');
+        const step = stepStr === undefined ? 1 : toInt(stepStr);
+        if (!(step >= 1)) return null;
+
+        let start, end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(toInt);
+        } else {
+            start = toInt(range);
+            end = stepStr === undefined ? start : max; // "5/15" means from 5 to max
+        }
+
+        if (!(start >= min && end <= max && start <= end)) return null;
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+
+    return values;
+}
+
+function getNextCronRun(cron, from) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Day-of-month and day-of-week are OR-ed when both are restricted (standard cron)
+    const dayMatches = (d) => {
+        const dom = cron.days.has(d.getDate());
+        const dow = cron.weekdays.has(d.getDay());
+        if (!cron.anyDay && !cron.anyWeekday) return dom || dow;
+        if (!cron.anyDay) return dom;
+        if (!cron.anyWeekday) return dow;
+        return true;
+    };
+
+    const limit = from.getTime() + 4 * 366 * 86400000;
+    while (date.getTime() < limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
 // ============================================================
 // DATA LOADING
 // ============================================================
@@ -172,8 +456,13 @@ async function loadTasks() {
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
     try {
-        // Try loading from data folder first
-        let response = await fetch(CONFIG.dataPath, { signal: controller.signal });
+        // The server's task store has tasks created through the API before they're aggregated
+        let response = serverAvailable ? await fetchServerTasks(controller.signal) : null;
+
+        // Otherwise the aggregated file from the data folder
+        if (!response) {
+            response = await fetch(CONFIG.dataPath, { signal: controller.signal });
+        }
 
         if (!response.ok) {
             // Try loading from parent directory (for local testing)
@@ -185,13 +474,23 @@ async function loadTasks() {
         }
 
         const data = await response.json();
-        state.tasks = data.tasks || [];
+        const previousConflicts = state.conflicts.length;
+        state.serverSnapshot = data.tasks || [];
+
+        // Merge localStorage changes and pending local tasks over the server data
+        applyLocalChanges();
+
+        if (state.conflicts.length > previousConflicts) {
+            showToast(`${state.conflicts.length} שינויים מקומיים מתנגשים עם השרת`, 'warning');
+        }
 
-        // Load saved task assignments from localStorage
-        loadTaskAssignments();
+        // Before auto-retries flip failed tasks back to in_progress
+        checkTaskNotifications();
 
-        // Merge pending local tasks (not yet synced to server)
-        loadPendingLocalTasks();
+        // Work out backoff for failed scheduled tasks (may kick off due retries)
+        resetRetryCounts();
+        scheduleAutoRetries();
+        autoArchiveTasks();
 
         // Update statistics
         updateStatistics(data.statistics);
@@ -203,6 +502,7 @@ async function loadTasks() {
         }
 
         renderTasks();
+        updateSchedulerStatusUI();
         hideLoading();
 
     } catch (error) {
@@ -221,6 +521,21 @@ async function loadTasks() {
     }
 }
 
+/**
+ * GET /api/tasks - returns the response, or null to fall back to the static file
+ */
+async function fetchServerTasks(signal) {
+    try {
+        const response = await fetch(getApiUrl('/api/tasks'), { signal });
+        if (response.ok) return response;
+        console.warn(`GET /api/tasks failed (HTTP ${response.status}) - using ${CONFIG.dataPath}`);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('GET /api/tasks failed - using', CONFIG.dataPath, error);
+    }
+    return null;
+}
+
 /**
  * Load sample data for demo
  */
@@ -262,6 +577,22 @@ function loadSampleData() {
     renderTasks();
 }
 
+/**
+ * Compute statistics from the tasks currently in state
+ */
+function computeStatistics() {
+    return {
+        total: state.tasks.length,
+        by_status: {
+            pending: state.tasks.filter(t => t.status === 'pending').length,
+            in_progress: state.tasks.filter(t => t.status === 'in_progress').length,
+            completed: state.tasks.filter(t => t.status === 'completed').length,
+            failed: state.tasks.filter(t => t.status === 'failed').length,
+            cancelled: state.tasks.filter(t => t.status === 'cancelled').length
+        }
+    };
+}
+
 /**
  * Update statistics display
  */
@@ -299,6 +630,367 @@ function hideLoading() {
     if (loading) loading.style.display = 'none';
 }
 
+// ============================================================
+// TASK QUERY (search box syntax)
+// ============================================================
+
+/*
+ * Search box syntax:
+ *   status:failed skill:browser agent:Explore project:italy blocked:yes updated:<7d
+ *   Terms are ANDed; use OR, NOT / -term and ( ) to combine. "quoted values" keep spaces.
+ *   Plain words match subject, project, description, last result, activeForm and schedule.
+ */
+const QUERY_HELP = 'status:failed skill:x agent:x project:x blocked:yes updated:<7d retries:>2 · AND / OR / NOT / -term / ( )';
+
+const QUERY_FIELDS = {
+    id: { type: 'text', get: t => t.id },
+    status: { type: 'text', get: t => t.status },
+    source: { type: 'text', get: t => t.source },
+    skill: { type: 'text', get: t => t.assigned_skill },
+    agent: { type: 'text', get: t => t.assigned_agent },
+    project: { type: 'text', get: t => [t.project, t.project_name] },
+    subject: { type: 'text', get: t => t.subject },
+    description: { type: 'text', get: t => t.description },
+    result: { type: 'text', get: t => t.last_result },
+    activeform: { type: 'text', get: t => t.activeForm },
+    schedule: { type: 'text', get: t => t.schedule ? [describeSchedule(t.schedule), t.schedule.type, t.schedule.expression] : null },
+    blocked: { type: 'bool', get: t => isTaskBlocked(t) },
+    archived: { type: 'bool', get: t => !!t.archived },
+    local: { type: 'bool', get: t => !!t._local },
+    conflict: { type: 'bool', get: t => state.conflicts.some(c => c.taskId === t.id) },
+    recurring: { type: 'bool', get: t => isRecurringSchedule(t.schedule) },
+    scheduled: { type: 'bool', get: t => !!t.schedule },
+    updated: { type: 'date', get: t => t.last_updated },
+    created: { type: 'date', get: t => t.created },
+    run: { type: 'date', get: t => t.last_run },
+    next: { type: 'date', future: true, get: t => getTaskNextRun(t) },
+    retries: { type: 'number', get: t => t.retry_count || 0 }
+};
+
+const QUERY_FIELD_ALIASES = {
+    title: 'subject',
+    desc: 'description',
+    lastrun: 'run',
+    retry: 'retries'
+};
+
+const QUERY_DURATION_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Split a query into terms, parentheses and AND/OR/NOT operators
+ */
+function tokenizeQuery(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+            continue;
+        }
+        // -term / -(...) is NOT
+        if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT' });
+            i++;
+            continue;
+        }
+
+        let text = '';
+        let quoted = false;
+        while (i < input.length && !/[\s()]/.test(input[i])) {
+            if (input[i] === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) throw new Error('Missing closing quote');
+                text += input.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+            } else {
+                text += input[i++];
+            }
+        }
+
+        if (!quoted && /^(AND|OR|NOT)$/i.test(text)) {
+            tokens.push({ type: text.toUpperCase() });
+        } else if (!quoted && (text === '|' || text === '||')) {
+            tokens.push({ type: 'OR' });
+        } else {
+            tokens.push(parseQueryTerm(text, quoted));
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * "key:value" (value may start with <, >, <=, >= or =) or free text
+ */
+function parseQueryTerm(text, quoted) {
+    const match = text.match(/^([a-z_]+):(<=|>=|<|>|=)?(.*)$/i);
+    if (!match) return { type: 'term', text: text.toLowerCase() };
+
+    const key = match[1].toLowerCase();
+    const field = QUERY_FIELD_ALIASES[key] || key;
+    if (!QUERY_FIELDS[field]) {
+        // Not a field after all (e.g. "note:" inside free text) - only fail on unquoted lookalikes
+        if (quoted) return { type: 'term', text: text.toLowerCase() };
+        throw new Error(`Unknown field "${key}"`);
+    }
+
+    const op = match[2] || ':';
+    const value = match[3].trim();
+    if (!value) throw new Error(`Missing value for "${key}"`);
+
+    const term = { type: 'term', field, op, value: value.toLowerCase() };
+    const { type } = QUERY_FIELDS[field];
+
+    if (type === 'bool') {
+        if (!/^(yes|no|true|false|1|0)$/i.test(value)) throw new Error(`"${key}" takes yes or no`);
+        term.value = /^(yes|true|1)$/i.test(value);
+    } else if (type === 'number') {
+        term.value = Number(value);
+        if (!Number.isFinite(term.value)) throw new Error(`"${key}" takes a number`);
+    } else if (type === 'date') {
+        const duration = value.match(/^(\d+(?:\.\d+)?)([mhdw])$/i);
+        if (duration) {
+            term.duration = parseFloat(duration[1]) * QUERY_DURATION_UNITS[duration[2].toLowerCase()];
+        } else {
+            term.date = new Date(value);
+            if (isNaN(term.date)) throw new Error(`"${key}" takes a date or age like 7d, 12h`);
+        }
+    }
+    return term;
+}
+
+/**
+ * Parse a search string into an expression tree:
+ * OR of ANDs of (NOT) terms / parenthesised groups
+ */
+function parseQuery(input) {
+    const tokens = tokenizeQuery(input);
+    let pos = 0;
+
+    const parseOr = () => {
+        const nodes = [parseAnd()];
+        while (tokens[pos]?.type === 'OR') {
+            pos++;
+            nodes.push(parseAnd());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    };
+
+    const parseAnd = () => {
+        const nodes = [parseNot()];
+        while (pos < tokens.length && tokens[pos].type !== 'OR' && tokens[pos].type !== ')') {
+            if (tokens[pos].type === 'AND') pos++;
+            nodes.push(parseNot());
+        }
+        return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    };
+
+    const parseNot = () => {
+        if (tokens[pos]?.type === 'NOT') {
+            pos++;
+            return { type: 'not', node: parseNot() };
+        }
+        return parseAtom();
+    };
+
+    const parseAtom = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error('Query ends too early');
+        if (token.type === '(') {
+            const node = parseOr();
+            if (tokens[pos++]?.type !== ')') throw new Error('Missing )');
+            return node;
+        }
+        if (token.type !== 'term') throw new Error(`Unexpected ${token.type}`);
+        return token;
+    };
+
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].type}`);
+    return tree;
+}
+
+/**
+ * Does the query use this field anywhere (including under NOT)?
+ */
+function queryHasField(node, field) {
+    if (!node) return false;
+    switch (node.type) {
+        case 'and':
+        case 'or': return node.nodes.some(n => queryHasField(n, field));
+        case 'not': return queryHasField(node.node, field);
+    }
+    return node.field === field;
+}
+
+/**
+ * Evaluate a parsed query against a task
+ */
+function matchesQuery(task, node) {
+    if (!node) return true;
+
+    switch (node.type) {
+        case 'and': return node.nodes.every(n => matchesQuery(task, n));
+        case 'or': return node.nodes.some(n => matchesQuery(task, n));
+        case 'not': return !matchesQuery(task, node.node);
+    }
+
+    if (!node.field) {
+        const haystack = [
+            task.subject, task.project, task.project_name, task.description,
+            task.last_result, task.activeForm, task.schedule ? describeSchedule(task.schedule) : null
+        ];
+        return haystack.some(value => value && String(value).toLowerCase().includes(node.text));
+    }
+
+    const field = QUERY_FIELDS[node.field];
+    const raw = field.get(task);
+
+    if (field.type === 'bool') return raw === node.value;
+
+    if (field.type === 'number') {
+        return compareQueryValue(raw, node.op, node.value);
+    }
+
+    if (field.type === 'date') {
+        if (!raw) return false;
+        const time = new Date(raw).getTime();
+        if (node.duration !== undefined) {
+            // Age (or time until, for future fields) against the duration; no operator = "within"
+            const age = field.future ? time - Date.now() : Date.now() - time;
+            return compareQueryValue(age, node.op === ':' ? '<' : node.op, node.duration);
+        }
+        if (node.op === ':' || node.op === '=') {
+            return new Date(raw).toDateString() === node.date.toDateString();
+        }
+        return compareQueryValue(time, node.op, node.date.getTime());
+    }
+
+    const values = [].concat(raw).filter(v => v !== null && v !== undefined && v !== '');
+    if (node.value === 'none') return values.length === 0;
+    return values.some(v => node.op === '='
+        ? String(v).toLowerCase() === node.value
+        : String(v).toLowerCase().includes(node.value));
+}
+
+function compareQueryValue(actual, op, expected) {
+    switch (op) {
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        default: return actual === expected;
+    }
+}
+
+/**
+ * Flag a query that doesn't parse (it still works as plain text search)
+ */
+function updateSearchValidity(input) {
+    const { error } = getSearchQuery();
+    input.classList.toggle('invalid', !!error);
+    input.title = error ? `${error} - searching as plain text` : QUERY_HELP;
+}
+
+// Last parsed search string (parsing happens once per change, not once per task)
+let parsedSearch = { text: null, query: null, error: null };
+
+/**
+ * Parsed state.filters.search. An invalid query falls back to plain substring search.
+ */
+function getSearchQuery() {
+    const text = state.filters.search || '';
+    if (parsedSearch.text !== text) {
+        try {
+            parsedSearch = { text, query: parseQuery(text), error: null };
+        } catch (error) {
+            parsedSearch = { text, query: { type: 'term', text: text.trim().toLowerCase() }, error: error.message };
+        }
+    }
+    return parsedSearch;
+}
+
+// ============================================================
+// SORTING & SWIMLANES
+// ============================================================
+
+// Failures first - the usual reason to sort by status
+const STATUS_SORT_ORDER = ['failed', 'in_progress', 'pending', 'cancelled', 'completed'];
+
+const toTime = (value) => value ? new Date(value).getTime() : null;
+
+// Sort keys for the board and list. desc = largest first; tasks without a value go last.
+const SORT_KEYS = {
+    last_updated: { desc: true, get: t => toTime(t.last_updated) },
+    created: { desc: true, get: t => toTime(t.created) },
+    next_run: { desc: false, get: t => getTaskNextRun(t)?.getTime() ?? null },
+    status: { desc: false, get: t => STATUS_SORT_ORDER.indexOf(t.status) },
+    retry_count: { desc: true, get: t => t.retry_count || 0 }
+};
+
+const SWIMLANES = {
+    agent: { icon: '🤖', empty: 'ללא סוכן', get: t => t.assigned_agent },
+    skill: { icon: '⚡', empty: 'ללא כישור', get: t => t.assigned_skill },
+    status: { icon: '', empty: '', get: t => t.status }
+};
+
+/**
+ * Sort tasks by state.sortBy ('default' keeps the order from tasks.json)
+ */
+function sortTasks(tasks) {
+    const key = SORT_KEYS[state.sortBy];
+    if (!key) return tasks;
+
+    return [...tasks].sort((a, b) => {
+        const va = key.get(a);
+        const vb = key.get(b);
+        const missingA = va === null || va === undefined || Number.isNaN(va) || va < 0;
+        const missingB = vb === null || vb === undefined || Number.isNaN(vb) || vb < 0;
+        if (missingA || missingB) return missingA - missingB;
+        return key.desc ? vb - va : va - vb;
+    });
+}
+
+/**
+ * Split tasks into swimlanes ({ key, name, icon, tasks }), keeping their order inside each lane.
+ * Status lanes follow the board's status order; others are alphabetical, unassigned last.
+ */
+function groupTasksIntoLanes(tasks, by) {
+    const lane = SWIMLANES[by];
+    const lanes = new Map();
+
+    tasks.forEach(task => {
+        const key = lane.get(task) || '';
+        if (!lanes.has(key)) {
+            const statusInfo = by === 'status' ? getStatusInfo(key) : null;
+            lanes.set(key, {
+                key: `${by}:${key}`,
+                name: statusInfo ? statusInfo.text : (key || lane.empty),
+                icon: statusInfo ? statusInfo.icon : lane.icon,
+                rank: by === 'status' ? TASK_STATUSES.indexOf(key) : null,
+                value: key,
+                tasks: []
+            });
+        }
+        lanes.get(key).tasks.push(task);
+    });
+
+    return [...lanes.values()].sort((a, b) => {
+        if (by === 'status') return a.rank - b.rank;
+        if (!a.value || !b.value) return !a.value - !b.value;
+        return a.value.localeCompare(b.value);
+    });
+}
+
 // ============================================================
 // RENDERING
 // ============================================================
@@ -308,7 +1000,7 @@ function hideLoading() {
  */
 function renderTasks() {
     const container = document.getElementById('boardContainer');
-    const filteredTasks = filterTasks(state.tasks);
+    const filteredTasks = sortTasks(filterTasks(state.tasks));
 
     if (filteredTasks.length === 0) {
         container.innerHTML = `
@@ -316,54 +1008,177 @@ function renderTasks() {
                 <p>אין משימות להציג</p>
             </div>
         `;
+        renderBulkActionBar(filteredTasks);
         return;
     }
 
     if (state.viewMode === 'board') {
         renderBoardView(filteredTasks);
     } else {
-        renderListView(filteredTasks);
+        // List and graph are rebuilt whole - keep the scroll position at least
+        const { scrollTop, scrollLeft } = container;
+        if (state.viewMode === 'graph') {
+            renderDependencyView(filteredTasks);
+        } else {
+            renderListView(filteredTasks);
+        }
+        container.scrollTop = scrollTop;
+        container.scrollLeft = scrollLeft;
     }
 
-    // Setup drag and drop for tasks and skill/agent assignment
-    setupDragAndDrop();
-    setupSkillAgentDragAndDrop();
+    refreshOpenTaskDetails();
+    renderBulkActionBar(filteredTasks);
+    updateSyncBadge();
+}
+
+// Last HTML rendered into each board card / column header, so unchanged ones are left alone
+const renderedHtml = new WeakMap();
+
+function createElementFromHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+/**
+ * Put el at position index of parent, moving it only if it isn't there already
+ */
+function placeChild(parent, el, index) {
+    const current = parent.children[index];
+    if (current !== el) parent.insertBefore(el, current || null);
 }
 
 /**
- * Render Trello-style board view
+ * Render Trello-style board view, optionally split into swimlanes.
+ * Keyed by lane, column and task id: existing elements are reused and only cards
+ * whose markup changed are replaced, so scroll position and focus survive a re-render.
  */
 function renderBoardView(tasks) {
     const container = document.getElementById('boardContainer');
+    const layout = state.swimlane === 'none' ? 'columns' : `lanes:${state.swimlane}`;
 
-    // Group tasks by session/project
-    const grouped = groupTasksBySession(tasks);
+    // Coming from the list/graph view, the empty state or another lane split - start clean
+    if (container.dataset.layout !== layout ||
+        [...container.children].some(el => !el.classList.contains(layout === 'columns' ? 'board-column' : 'swimlane'))) {
+        container.innerHTML = '';
+    }
+    container.dataset.layout = layout;
+    container.classList.toggle('with-swimlanes', layout !== 'columns');
 
-    let html = '';
+    const cards = new Map([...container.querySelectorAll('.task-card')].map(el => [el.dataset.taskId, el]));
 
-    for (const [sessionId, sessionData] of Object.entries(grouped)) {
-        const columnClass = sessionData.source || 'session';
-        html += `
-            <div class="board-column ${columnClass}" data-session="${sessionId}">
-                <div class="column-header">
-                    <span class="column-title">
-                        ${sessionData.icon} ${sessionData.name}
-                    </span>
-                    <span class="column-count">${sessionData.tasks.length}</span>
-                </div>
-                <div class="column-cards" data-session="${sessionId}">
-                    ${sessionData.tasks.map(task => renderTaskCard(task)).join('')}
-                </div>
-                <div class="column-footer">
-                    <button class="add-task-btn" onclick="addTaskToSession('${sessionId}')">
-                        + הוסף משימה
-                    </button>
+    if (layout === 'columns') {
+        renderBoardColumns(container, tasks, cards);
+        return;
+    }
+
+    const lanes = groupTasksIntoLanes(tasks, state.swimlane);
+    const existing = new Map([...container.children].map(el => [el.dataset.laneKey, el]));
+    const keptLanes = new Set();
+
+    lanes.forEach((lane, index) => {
+        let laneEl = existing.get(lane.key);
+        if (!laneEl) {
+            laneEl = createElementFromHtml(`
+                <div class="swimlane">
+                    <div class="swimlane-header"></div>
+                    <div class="swimlane-columns"></div>
                 </div>
-            </div>
+            `);
+            laneEl.dataset.laneKey = lane.key;
+        }
+        keptLanes.add(laneEl);
+        placeChild(container, laneEl, index);
+
+        const header = laneEl.querySelector('.swimlane-header');
+        const headerHtml = `${lane.icon} ${escapeHtml(lane.name)} <span class="column-count">${lane.tasks.length}</span>`;
+        if (renderedHtml.get(header) !== headerHtml) {
+            header.innerHTML = headerHtml;
+            renderedHtml.set(header, headerHtml);
+        }
+
+        renderBoardColumns(laneEl.querySelector('.swimlane-columns'), lane.tasks, cards);
+    });
+
+    [...container.children].forEach(el => {
+        if (!keptLanes.has(el)) el.remove();
+    });
+}
+
+/**
+ * Reconcile one row of board columns inside parent.
+ * cards maps task id -> existing card element anywhere on the board.
+ */
+function renderBoardColumns(parent, tasks, cards) {
+    const byStatus = state.boardGroupBy === 'status';
+
+    // Group tasks by session/project, or by status (Kanban)
+    const grouped = byStatus ? groupTasksByStatus(tasks) : groupTasksBySession(tasks);
+
+    const columns = new Map([...parent.children].map(el => [el.dataset.columnKey, el]));
+    const keptColumns = new Set();
+
+    Object.entries(grouped).forEach(([groupId, group], index) => {
+        const columnKey = `${state.boardGroupBy}:${groupId}`;
+        const column = columns.get(columnKey) || createElementFromHtml(renderBoardColumn(groupId, group, byStatus));
+        column.dataset.columnKey = columnKey;
+        keptColumns.add(column);
+        placeChild(parent, column, index);
+
+        const header = column.querySelector('.column-header');
+        const headerHtml = `
+            <span class="column-title">
+                ${group.icon} ${group.name}
+            </span>
+            <span class="column-count">${group.tasks.length}</span>
         `;
-    }
+        if (renderedHtml.get(header) !== headerHtml) {
+            header.innerHTML = headerHtml;
+            renderedHtml.set(header, headerHtml);
+        }
 
-    container.innerHTML = html;
+        const list = column.querySelector('.column-cards');
+        group.tasks.forEach((task, position) => {
+            const html = renderTaskCard(task);
+            let card = cards.get(task.id);
+            if (!card || renderedHtml.get(card) !== html) {
+                const fresh = createElementFromHtml(html);
+                renderedHtml.set(fresh, html);
+                if (card) card.replaceWith(fresh);
+                card = fresh;
+                cards.set(task.id, fresh);
+            }
+            placeChild(list, card, position);
+        });
+
+        // Cards that moved to a later column or are gone
+        [...list.children].slice(group.tasks.length).forEach(el => el.remove());
+    });
+
+    [...parent.children].forEach(el => {
+        if (!keptColumns.has(el)) el.remove();
+    });
+}
+
+/**
+ * Empty board column shell - header and cards are filled in by renderBoardColumns
+ */
+function renderBoardColumn(groupId, group, byStatus) {
+    const columnClass = byStatus ? `status-column ${groupId}` : (group.source || 'session');
+    const dropAttr = byStatus ? `data-status="${groupId}"` : `data-session="${groupId}"`;
+    return `
+        <div class="board-column ${columnClass}" ${dropAttr}>
+            <div class="column-header"></div>
+            <div class="column-cards" ${dropAttr}></div>
+            ${byStatus ? '' : `
+            <div class="column-footer">
+                <button class="add-task-btn" onclick="addTaskToSession('${groupId}')">
+                    + הוסף משימה
+                </button>
+            </div>
+            `}
+        </div>
+    `;
 }
 
 /**
@@ -371,16 +1186,22 @@ function renderBoardView(tasks) {
  */
 function renderListView(tasks) {
     const container = document.getElementById('boardContainer');
-    const grouped = groupTasksBySource(tasks);
+
+    // Swimlanes replace the default grouping by source
+    const groups = state.swimlane === 'none'
+        ? Object.entries(groupTasksBySource(tasks)).map(([source, sourceTasks]) => {
+            const sourceInfo = getSourceInfo(source);
+            return { name: sourceInfo.text, icon: sourceInfo.icon, tasks: sourceTasks };
+        })
+        : groupTasksIntoLanes(tasks, state.swimlane);
 
     let html = '<div class="tasks-container" style="width: 100%;">';
 
-    for (const [source, sourceTasks] of Object.entries(grouped)) {
-        const sourceInfo = getSourceInfo(source);
+    for (const group of groups) {
         html += `
             <div class="task-group">
-                <h4 class="task-group-title">${sourceInfo.icon} ${sourceInfo.text}</h4>
-                ${sourceTasks.map(task => renderTaskCard(task)).join('')}
+                <h4 class="task-group-title">${group.icon} ${escapeHtml(group.name)} <span class="column-count">${group.tasks.length}</span></h4>
+                ${group.tasks.map(task => renderTaskCard(task)).join('')}
             </div>
         `;
     }
@@ -390,12 +1211,139 @@ function renderListView(tasks) {
 }
 
 /**
- * Group tasks by session/project for Trello view
+ * Render dependency graph (blockedBy/blocks) as SVG, one layer per dependency depth
  */
-function groupTasksBySession(tasks) {
-    const groups = {};
+function renderDependencyView(tasks) {
+    const container = document.getElementById('boardContainer');
+    const edges = getDependencyEdges(tasks);
 
-    // First, create scheduled column
+    if (edges.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state" style="width: 100%; text-align: center; padding: 40px;">
+                <p>אין תלויות בין המשימות המוצגות</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Only tasks that take part in a dependency are drawn
+    const nodeIds = new Set(edges.flatMap(e => [e.from, e.to]));
+    const nodes = tasks.filter(t => nodeIds.has(t.id));
+    const depths = getDependencyDepths(nodes, edges);
+
+    const NODE_W = 200, NODE_H = 56, GAP_X = 80, GAP_Y = 20, PAD = 20;
+    const positions = {};
+    const rowsPerLayer = {};
+
+    nodes.forEach(task => {
+        const depth = depths[task.id];
+        const row = rowsPerLayer[depth] || 0;
+        rowsPerLayer[depth] = row + 1;
+        positions[task.id] = {
+            x: PAD + depth * (NODE_W + GAP_X),
+            y: PAD + row * (NODE_H + GAP_Y)
+        };
+    });
+
+    const layers = Math.max(...Object.values(depths)) + 1;
+    const maxRows = Math.max(...Object.values(rowsPerLayer));
+    const width = PAD * 2 + layers * NODE_W + (layers - 1) * GAP_X;
+    const height = PAD * 2 + maxRows * NODE_H + (maxRows - 1) * GAP_Y;
+
+    const edgesSvg = edges.map(edge => {
+        const from = positions[edge.from];
+        const to = positions[edge.to];
+        const x1 = from.x + NODE_W, y1 = from.y + NODE_H / 2;
+        const x2 = to.x, y2 = to.y + NODE_H / 2;
+        const mid = (x1 + x2) / 2;
+        const blocking = state.tasks.find(t => t.id === edge.from)?.status !== 'completed';
+        return `<path class="dep-edge ${blocking ? 'blocking' : ''}"
+                      d="M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2},${y2}"
+                      marker-end="url(#depArrow)"></path>`;
+    }).join('');
+
+    const nodesSvg = nodes.map(task => {
+        const { x, y } = positions[task.id];
+        const statusInfo = getStatusInfo(task.status);
+        const subject = task.subject || task.id;
+        const label = subject.length > 26 ? subject.substring(0, 26) + '…' : subject;
+        return `
+            <g class="dep-node status-${task.status} ${isTaskBlocked(task) ? 'blocked' : ''}"
+               transform="translate(${x},${y})"
+               onclick="openTaskDetails('${task.id}')">
+                <title>${escapeHtml(subject)}</title>
+                <rect width="${NODE_W}" height="${NODE_H}" rx="8"></rect>
+                <text x="10" y="22" class="dep-node-title">${escapeHtml(label)}</text>
+                <text x="10" y="42" class="dep-node-status">${statusInfo.icon} ${statusInfo.text}${isTaskBlocked(task) ? ' · 🔒' : ''}</text>
+            </g>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="dependency-graph">
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <defs>
+                    <marker id="depArrow" viewBox="0 0 10 10" refX="10" refY="5"
+                            markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                        <path d="M0,0 L10,5 L0,10 z"></path>
+                    </marker>
+                </defs>
+                ${edgesSvg}
+                ${nodesSvg}
+            </svg>
+        </div>
+    `;
+}
+
+/**
+ * Collect unique blocker -> blocked edges between the given tasks
+ */
+function getDependencyEdges(tasks) {
+    const ids = new Set(tasks.map(t => t.id));
+    const edges = new Map();
+
+    const addEdge = (from, to) => {
+        if (from && to && from !== to && ids.has(from) && ids.has(to)) {
+            edges.set(`${from}->${to}`, { from, to });
+        }
+    };
+
+    tasks.forEach(task => {
+        (task.blockedBy || []).forEach(ref => addEdge(resolveTaskRef(task, ref)?.id, task.id));
+        (task.blocks || []).forEach(ref => addEdge(task.id, resolveTaskRef(task, ref)?.id));
+    });
+
+    return [...edges.values()];
+}
+
+/**
+ * Depth of each node = longest chain of blockers above it (cycles are cut)
+ */
+function getDependencyDepths(nodes, edges) {
+    const depths = {};
+    const visiting = new Set();
+
+    const depthOf = (id) => {
+        if (depths[id] !== undefined) return depths[id];
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const parents = edges.filter(e => e.to === id).map(e => e.from);
+        depths[id] = parents.length ? Math.max(...parents.map(depthOf)) + 1 : 0;
+        visiting.delete(id);
+        return depths[id];
+    };
+
+    nodes.forEach(task => depthOf(task.id));
+    return depths;
+}
+
+/**
+ * Group tasks by session/project for Trello view
+ */
+function groupTasksBySession(tasks) {
+    const groups = {};
+
+    // First, create scheduled column
     const scheduledTasks = tasks.filter(t => t.source === 'scheduled');
     if (scheduledTasks.length > 0) {
         groups['_scheduled'] = {
@@ -408,7 +1356,7 @@ function groupTasksBySession(tasks) {
 
     // Group by project/session
     tasks.filter(t => t.source !== 'scheduled').forEach(task => {
-        const sessionId = task.session_id || task.project || task.source || 'general';
+        const sessionId = getTaskSessionKey(task);
 
         if (!groups[sessionId]) {
             groups[sessionId] = {
@@ -424,6 +1372,29 @@ function groupTasksBySession(tasks) {
     return groups;
 }
 
+/**
+ * Group tasks by status for Kanban view - one column per status, always shown
+ */
+function groupTasksByStatus(tasks) {
+    const groups = {};
+
+    TASK_STATUSES.forEach(status => {
+        const statusInfo = getStatusInfo(status);
+        groups[status] = {
+            name: statusInfo.text,
+            icon: statusInfo.icon,
+            tasks: []
+        };
+    });
+
+    tasks.forEach(task => {
+        const status = TASK_STATUSES.includes(task.status) ? task.status : 'pending';
+        groups[status].tasks.push(task);
+    });
+
+    return groups;
+}
+
 /**
  * Get display name for session
  */
@@ -451,7 +1422,10 @@ function renderTaskCard(task) {
     const statusInfo = getStatusInfo(task.status);
     const projectName = task.project_name || task.project || '';
     const lastUpdated = task.last_updated ? formatRelativeTime(task.last_updated) : '';
-    const isLocal = task._local || task._pendingSync;
+    const isLocal = task._pendingSync;
+    const openBlockers = getOpenBlockers(task);
+    const nextRun = getTaskNextRun(task);
+    const isSelected = state.selectedTaskIds.has(task.id);
 
     // Build assignment badges
     let assignmentBadges = '';
@@ -477,21 +1451,35 @@ function renderTaskCard(task) {
     }
 
     return `
-        <div class="task-card status-${task.status} ${isLocal ? 'local-task' : ''}"
+        <div class="task-card status-${task.status} ${isLocal ? 'local-task' : ''} ${openBlockers.length ? 'blocked' : ''} ${task.archived ? 'archived' : ''} ${isSelected ? 'selected' : ''}"
              draggable="true"
              data-task-id="${task.id}"
-             onclick="openTaskDetails('${task.id}')"
+             onclick="handleTaskCardClick(event, '${task.id}')"
              ondragover="handleTaskDragOver(event)"
              ondragleave="handleTaskDragLeave(event)"
              ondrop="handleTaskDrop(event)">
             <div class="task-header">
+                <input type="checkbox" class="task-select" title="בחר (Shift לטווח)" ${isSelected ? 'checked' : ''}
+                       onclick="event.stopPropagation(); toggleTaskSelection('${task.id}', event)">
                 <span class="task-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
                 ${isLocal ? '<span class="task-local-badge">📱 Local</span>' : ''}
+                ${task.archived ? '<span class="task-archived-badge">🗄️ בארכיון</span>' : ''}
+                ${state.conflicts.some(c => c.taskId === task.id) ? `<span class="task-conflict-badge" title="לחץ לפתרון" onclick="event.stopPropagation(); openConflictsModal('${task.id}')">⚠️ התנגשות</span>` : ''}
                 ${lastUpdated ? `<span class="task-time">${lastUpdated}</span>` : ''}
             </div>
             <div class="task-title">${escapeHtml(task.subject)}</div>
+            ${task.schedule ? `
+            <div class="task-schedule">
+                ${isRecurringSchedule(task.schedule) ? `🔁 ${escapeHtml(describeSchedule(task.schedule))} · ` : ''}
+                📅 ${nextRun ? formatDate(nextRun.toISOString()) : 'אין הרצה קרובה'}
+            </div>` : ''}
+            ${openBlockers.length ? `
+            <div class="task-blocked" title="${escapeHtml(openBlockers.map(b => b.subject).join('\n'))}">
+                🔒 חסומה ע״י ${openBlockers.length} ${openBlockers.length === 1 ? 'משימה' : 'משימות'}
+            </div>` : ''}
             ${task.last_result && task.status === 'failed' ?
                 `<div class="task-error">❌ ${escapeHtml(task.last_result.substring(0, 80))}...</div>` : ''}
+            ${task.status === 'failed' ? renderRetryInfo(task) : ''}
             ${assignmentBadges}
             <div class="task-actions">
                 ${task.status === 'failed' ?
@@ -499,11 +1487,45 @@ function renderTaskCard(task) {
                 <button class="btn btn-small btn-secondary" onclick="event.stopPropagation(); editTask('${task.id}')">✏️</button>
                 ${task.status !== 'completed' ?
                     `<button class="btn btn-small btn-secondary" onclick="event.stopPropagation(); startTask('${task.id}')">▶️</button>` : ''}
+                ${task.status === 'in_progress' && task.run_id ?
+                    `<button class="btn btn-small btn-danger" title="עצור" onclick="event.stopPropagation(); stopTask('${task.id}')">⏹️</button>` : ''}
+                ${task.run_id && state.runs[task.run_id] ?
+                    `<button class="btn btn-small btn-secondary" title="פלט הרצה" onclick="event.stopPropagation(); openRunConsole('${task.run_id}')">📺</button>` : ''}
+                <button class="btn btn-small btn-secondary" title="${task.archived ? 'החזר מהארכיון' : 'העבר לארכיון'}" onclick="event.stopPropagation(); archiveTask('${task.id}', ${!task.archived})">${task.archived ? '📤' : '🗄️'}</button>
+                <button class="btn btn-small btn-secondary" title="מחק" onclick="event.stopPropagation(); deleteTask('${task.id}')">🗑️</button>
             </div>
         </div>
     `;
 }
 
+/**
+ * Resolve a blockedBy/blocks reference to a task.
+ * Session tasks reference siblings by their short id ("3"), so fall back to
+ * the same session prefix: session_<uuid>_3
+ */
+function resolveTaskRef(task, ref) {
+    if (ref === undefined || ref === null) return null;
+    const refId = String(ref);
+    const direct = state.tasks.find(t => t.id === refId);
+    if (direct) return direct;
+
+    const siblingId = task.id.replace(/_[^_]+$/, `_${refId}`);
+    return state.tasks.find(t => t.id === siblingId) || null;
+}
+
+/**
+ * Get the tasks blocking this one that are not completed yet
+ */
+function getOpenBlockers(task) {
+    return (task.blockedBy || [])
+        .map(ref => resolveTaskRef(task, ref))
+        .filter(blocker => blocker && blocker.status !== 'completed');
+}
+
+function isTaskBlocked(task) {
+    return getOpenBlockers(task).length > 0;
+}
+
 /**
  * Escape HTML
  */
@@ -518,26 +1540,29 @@ function escapeHtml(text) {
  * Filter tasks based on current filters
  */
 function filterTasks(tasks) {
+    const query = state.filters.search ? getSearchQuery().query : null;
+    // An explicit archived:yes/no in the search decides on its own
+    const queryDecidesArchived = queryHasField(query, 'archived');
+
     return tasks.filter(task => {
         // Source filter
         if (state.filters.source !== 'all' && task.source !== state.filters.source) {
             return false;
         }
 
-        // Status filter
-        if (state.filters.status !== 'all' && task.status !== state.filters.status) {
+        // Archived tasks only show under the "Archived" filter (or when searched for)
+        if (state.filters.status === 'archived') {
+            if (!task.archived) return false;
+        } else if (task.archived && !queryDecidesArchived) {
+            return false;
+        } else if (state.filters.status !== 'all' && task.status !== state.filters.status) {
+            // Status filter
             return false;
         }
 
-        // Search filter
-        if (state.filters.search) {
-            const searchLower = state.filters.search.toLowerCase();
-            const matchSubject = task.subject?.toLowerCase().includes(searchLower);
-            const matchProject = task.project?.toLowerCase().includes(searchLower);
-            const matchDesc = task.description?.toLowerCase().includes(searchLower);
-            if (!matchSubject && !matchProject && !matchDesc) {
-                return false;
-            }
+        // Search filter (query syntax - see TASK QUERY)
+        if (query && !matchesQuery(task, query)) {
+            return false;
         }
 
         return true;
@@ -560,19 +1585,28 @@ function groupTasksBySource(tasks) {
 // DRAG AND DROP (Tasks)
 // ============================================================
 
+/**
+ * Delegated from the board container once, so re-rendered cards and columns
+ * need no listeners of their own
+ */
 function setupDragAndDrop() {
-    const cards = document.querySelectorAll('.task-card');
+    const container = document.getElementById('boardContainer');
+    if (!container) return;
 
-    cards.forEach(card => {
-        card.addEventListener('dragstart', handleTaskDragStart);
-        card.addEventListener('dragend', handleTaskDragEnd);
+    container.addEventListener('dragstart', (e) => {
+        if (e.target.classList?.contains('task-card')) handleTaskDragStart(e);
+    });
+    container.addEventListener('dragend', (e) => {
+        if (e.target.classList?.contains('task-card')) handleTaskDragEnd(e);
     });
 
-    // Setup column drop zones
-    const columns = document.querySelectorAll('.column-cards');
-    columns.forEach(column => {
-        column.addEventListener('dragover', handleColumnDragOver);
-        column.addEventListener('drop', handleColumnDrop);
+    // Column drop zones
+    container.addEventListener('dragover', (e) => {
+        if (e.target.closest('.column-cards')) handleColumnDragOver(e);
+    });
+    container.addEventListener('drop', (e) => {
+        const column = e.target.closest('.column-cards');
+        if (column) handleColumnDrop(e, column);
     });
 }
 
@@ -596,7 +1630,7 @@ function handleColumnDragOver(e) {
     e.dataTransfer.dropEffect = 'move';
 }
 
-function handleColumnDrop(e) {
+function handleColumnDrop(e, column) {
     e.preventDefault();
     let data = {};
     try {
@@ -609,11 +1643,285 @@ function handleColumnDrop(e) {
 
     if (data.type === 'task') {
         const taskId = data.id;
-        const targetSession = e.currentTarget.dataset.session;
-        showToast(`משימה הועברה ל-${targetSession}`, 'success');
+        const targetStatus = column.dataset.status;
+        if (targetStatus) {
+            changeTaskStatus(taskId, targetStatus);
+        } else {
+            moveTaskToSession(taskId, column.dataset.session);
+        }
+    }
+}
+
+/**
+ * Get the board column key a task is grouped under (see groupTasksBySession)
+ */
+function getTaskSessionKey(task) {
+    if (task.source === 'scheduled') return '_scheduled';
+    return task.session_id || task.project || task.source || 'general';
+}
+
+/**
+ * Move a task to another board column by adopting that column's project
+ * options.batch skips the sync, render and toast - the caller does them once for the whole batch
+ */
+function moveTaskToSession(taskId, targetSession, options = {}) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !targetSession) return;
+
+    const currentSession = getTaskSessionKey(task);
+    if (currentSession === targetSession) return;
+
+    // Scheduled tasks are owned by the scheduler, not by a project
+    if (task.source === 'scheduled' || targetSession === '_scheduled') {
+        showToast('לא ניתן להעביר משימות מתוזמנות בין עמודות', 'warning');
+        return;
+    }
+
+    // Take project identity from a task already living in the target column
+    const peer = state.tasks.find(t => t.id !== taskId && getTaskSessionKey(t) === targetSession);
+    const move = {
+        session_id: peer?.session_id || null,
+        project: peer ? (peer.project || null) : targetSession,
+        project_name: peer ? (peer.project_name || peer.project || null) : targetSession,
+        from: currentSession,
+        changed_at: new Date().toISOString()
+    };
+
+    applyTaskMove(task, move);
+    task.last_updated = move.changed_at;
+
+    if (task._local) {
+        // Local tasks live entirely in pending_new_tasks
+        saveTaskLocally(task);
+    } else {
+        saveTaskMove(taskId, move);
+        if (!options.batch) syncTaskMoves();
+    }
+
+    if (options.batch) return;
+    renderTasks();
+    showToast(`משימה הועברה ל-${move.project_name || targetSession}`, 'success');
+}
+
+/**
+ * Apply a saved move to a task object
+ */
+function applyTaskMove(task, move) {
+    if (move.session_id) {
+        task.session_id = move.session_id;
+    } else {
+        delete task.session_id;
+    }
+    task.project = move.project;
+    task.project_name = move.project_name;
+}
+
+function saveTaskMove(taskId, move) {
+    // Save to localStorage for persistence (with error handling)
+    try {
+        const moves = JSON.parse(localStorage.getItem('task_moves') || '{}');
+        const base = captureBase(taskId, ['session_id', 'project', 'project_name'], moves[taskId]?.base);
+        moves[taskId] = { ...move, base, synced: false };
+        localStorage.setItem('task_moves', JSON.stringify(moves));
+    } catch (error) {
+        console.error('Failed to save task move:', error);
+        showToast('Failed to save task move', 'error');
+    }
+}
+
+function loadTaskMoves() {
+    try {
+        const moves = JSON.parse(localStorage.getItem('task_moves') || '{}');
+        let changed = false;
+
+        for (const [taskId, move] of Object.entries(moves)) {
+            const task = state.tasks.find(t => t.id === taskId);
+            const values = { session_id: move.session_id, project: move.project, project_name: move.project_name };
+            const outcome = task ? mergeLocalRecord('task_moves', task, values, move.base) : 'drop';
+
+            // Task no longer aggregated, or server data already reflects the move
+            if (outcome === 'drop') {
+                delete moves[taskId];
+                changed = true;
+                continue;
+            }
+
+            if (outcome === 'apply') applyTaskMove(task, move);
+        }
+
+        if (changed) {
+            localStorage.setItem('task_moves', JSON.stringify(moves));
+        }
+    } catch (error) {
+        console.error('Failed to load task moves:', error);
+    }
+}
+
+/**
+ * Send unsynced column moves to the local server
+ */
+function syncTaskMoves() {
+    return syncStoredTaskChanges('task_moves', (taskId, move) => ({
+        method: 'PATCH',
+        endpoint: getTaskApiPath(taskId),
+        body: {
+            changes: {
+                project: move.project,
+                project_name: move.project_name,
+                session_id: move.session_id
+            }
+        }
+    }));
+}
+
+/**
+ * Push a localStorage map of per-task changes ({ taskId: { ..., changed_at, synced } })
+ * to the server, marking each accepted entry as synced.
+ * buildRequest returns { endpoint, method?, body } for one entry.
+ */
+async function syncStoredTaskChanges(storageKey, buildRequest) {
+    if (!serverAvailable) return;
+
+    // One pass per store at a time; a call during a pass gets one more pass afterwards
+    if (state.syncingStores.has(storageKey)) {
+        state.resyncStores.add(storageKey);
+        return;
+    }
+
+    state.syncingStores.add(storageKey);
+    try {
+        await syncStoredTaskChangesOnce(storageKey, buildRequest);
+    } finally {
+        state.syncingStores.delete(storageKey);
+    }
+
+    if (state.resyncStores.delete(storageKey)) {
+        await syncStoredTaskChanges(storageKey, buildRequest);
+    }
+}
+
+async function syncStoredTaskChangesOnce(storageKey, buildRequest) {
+    let changes;
+    try {
+        changes = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    } catch (error) {
+        console.error(`Failed to read ${storageKey}:`, error);
+        return;
+    }
+
+    const synced = {};
+    for (const [taskId, change] of Object.entries(changes)) {
+        if (change.synced) continue;
+        const request = buildRequest(taskId, change);
+
+        try {
+            const result = await taskApi(request.method || 'POST', request.endpoint, request.body);
+            if (result.success) {
+                synced[taskId] = change.changed_at;
+            } else {
+                console.warn(`Server rejected ${request.endpoint} for ${taskId}:`, result.error);
+            }
+        } catch (error) {
+            console.error(`Failed to sync ${storageKey}:`, error);
+            break; // Server went away - try again when it's back
+        }
+    }
+
+    // Re-read so changes made while requests were in flight aren't lost
+    try {
+        const latest = JSON.parse(localStorage.getItem(storageKey) || '{}');
+        for (const [taskId, changedAt] of Object.entries(synced)) {
+            if (latest[taskId]?.changed_at === changedAt) {
+                latest[taskId].synced = true;
+            }
+        }
+        localStorage.setItem(storageKey, JSON.stringify(latest));
+    } catch (error) {
+        console.error(`Failed to save ${storageKey}:`, error);
     }
 }
 
+/**
+ * Change a task's status (Kanban drop)
+ */
+function changeTaskStatus(taskId, status) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || !TASK_STATUSES.includes(status) || task.status === status) return;
+
+    const change = {
+        status,
+        from: task.status,
+        changed_at: new Date().toISOString()
+    };
+
+    task.status = status;
+    task.last_updated = change.changed_at;
+
+    if (task._local) {
+        saveTaskLocally(task);
+    } else {
+        saveTaskStatusChange(taskId, change);
+        syncTaskStatusChanges();
+    }
+
+    updateStatistics(computeStatistics());
+    renderTasks();
+
+    const statusInfo = getStatusInfo(status);
+    showToast(`סטטוס עודכן: ${statusInfo.icon} ${statusInfo.text}`, 'success');
+}
+
+function saveTaskStatusChange(taskId, change) {
+    // Save to localStorage for persistence (with error handling)
+    try {
+        const changes = JSON.parse(localStorage.getItem('task_status_changes') || '{}');
+        const base = captureBase(taskId, ['status'], changes[taskId]?.base);
+        changes[taskId] = { ...change, base, synced: false };
+        localStorage.setItem('task_status_changes', JSON.stringify(changes));
+    } catch (error) {
+        console.error('Failed to save status change:', error);
+        showToast('Failed to save status change', 'error');
+    }
+}
+
+function loadTaskStatusChanges() {
+    try {
+        const changes = JSON.parse(localStorage.getItem('task_status_changes') || '{}');
+        let changed = false;
+
+        for (const [taskId, change] of Object.entries(changes)) {
+            const task = state.tasks.find(t => t.id === taskId);
+            const outcome = task ? mergeLocalRecord('task_status_changes', task, { status: change.status }, change.base) : 'drop';
+
+            // Task no longer aggregated, or server data already reflects the change
+            if (outcome === 'drop') {
+                delete changes[taskId];
+                changed = true;
+                continue;
+            }
+
+            if (outcome === 'apply') task.status = change.status;
+        }
+
+        if (changed) {
+            localStorage.setItem('task_status_changes', JSON.stringify(changes));
+        }
+    } catch (error) {
+        console.error('Failed to load status changes:', error);
+    }
+}
+
+/**
+ * Send unsynced status changes to the local server
+ */
+function syncTaskStatusChanges() {
+    return syncStoredTaskChanges('task_status_changes', (taskId, change) => ({
+        method: 'PATCH',
+        endpoint: getTaskApiPath(taskId),
+        body: { changes: { status: change.status } }
+    }));
+}
+
 // ============================================================
 // DRAG AND DROP (Skills & Agents to Tasks)
 // ============================================================
@@ -769,44 +2077,102 @@ function removeAssignment(taskId, type) {
     }
 }
 
-function saveTaskAssignment(taskId, type, value) {
+/**
+ * Store a skill/agent assignment and sync it.
+ * options.batch skips the sync - the caller runs syncTaskAssignments() once at the end.
+ */
+function saveTaskAssignment(taskId, type, value, options = {}) {
+    // Local tasks carry their assignments with them to the server
+    const task = state.tasks.find(t => t.id === taskId);
+    if (task?._local) {
+        saveTaskLocally(task);
+        return;
+    }
+
     // Save to localStorage for persistence (with error handling)
     try {
         const assignments = JSON.parse(localStorage.getItem('task_assignments') || '{}');
         if (!assignments[taskId]) assignments[taskId] = {};
 
-        if (value === null) {
-            delete assignments[taskId][type];
-        } else {
-            assignments[taskId][type] = value;
-        }
+        // null is kept (not deleted) so the removal reaches the server too
+        assignments[taskId][type] = value;
+        assignments[taskId].base = captureBase(taskId, ['assigned_skill', 'assigned_agent'], assignments[taskId].base);
+        assignments[taskId].changed_at = new Date().toISOString();
+        assignments[taskId].synced = false;
 
         localStorage.setItem('task_assignments', JSON.stringify(assignments));
     } catch (error) {
         console.error('Failed to save task assignment:', error);
         showToast('Failed to save assignment', 'error');
     }
+
+    updateSyncBadge();
+    if (!options.batch) syncTaskAssignments();
+}
+
+/**
+ * Push unsynced skill/agent assignments to the server
+ */
+function syncTaskAssignments() {
+    return syncStoredTaskChanges('task_assignments', (taskId, assignment) => ({
+        method: 'PATCH',
+        endpoint: getTaskApiPath(taskId),
+        body: { changes: getAssignmentValues(assignment) }
+    }));
 }
 
 function loadTaskAssignments() {
     try {
         const assignments = JSON.parse(localStorage.getItem('task_assignments') || '{}');
+        let changed = false;
 
-        state.tasks.forEach(task => {
-            if (assignments[task.id]) {
-                if (assignments[task.id].skill) {
-                    task.assigned_skill = assignments[task.id].skill;
-                }
-                if (assignments[task.id].agent) {
-                    task.assigned_agent = assignments[task.id].agent;
+        for (const [taskId, assignment] of Object.entries(assignments)) {
+            const task = state.tasks.find(t => t.id === taskId);
+            const values = getAssignmentValues(assignment);
+
+            // Task deleted on the server - the assignment has nothing to attach to
+            if (!task) {
+                if (!taskId.startsWith('local_')) {
+                    delete assignments[taskId];
+                    changed = true;
                 }
+                continue;
             }
-        });
+
+            const outcome = Object.keys(values).length === 0
+                ? 'drop'
+                : mergeLocalRecord('task_assignments', task, values, assignment.base);
+
+            // Server data already reflects the assignment (synced or not - like moves and
+            // status changes), or a synced record from before versioning that can't tell
+            // a later server-side reassignment from its own stale value
+            if (outcome === 'drop' || (assignment.synced && !assignment.base)) {
+                delete assignments[taskId];
+                changed = true;
+                continue;
+            }
+
+            if (outcome === 'apply') Object.assign(task, values);
+        }
+
+        if (changed) {
+            localStorage.setItem('task_assignments', JSON.stringify(assignments));
+        }
     } catch (error) {
         console.error('Failed to load task assignments:', error);
     }
 }
 
+/**
+ * Stored assignment ({ skill, agent }) as task fields
+ */
+function getAssignmentValues(assignment) {
+    const values = {};
+    if ('skill' in assignment) values.assigned_skill = assignment.skill;
+    if ('agent' in assignment) values.assigned_agent = assignment.agent;
+    return values;
+}
+
 /**
  * Load pending local tasks that haven't been synced yet
  */
@@ -819,16 +2185,40 @@ function loadPendingLocalTasks() {
 
             // Add pending tasks to the beginning of the list
             // Mark them as local so we know they need sync
-            pendingTasks.forEach(task => {
+            const remaining = pendingTasks.filter(task => {
                 task._local = true;
-                task._pendingSync = true;
+                task._pendingSync = task._pendingSync !== false;
+
+                // Server refused this task during sync - let the user pick a version
+                if (task._syncConflict) {
+                    const server = task._syncConflict.serverTask || {};
+                    const fields = SYNC_CONFLICT_FIELDS.filter(f =>
+                        JSON.stringify(task[f] ?? null) !== JSON.stringify(server[f] ?? null));
+                    state.conflicts.push({
+                        store: 'pending_new_tasks',
+                        taskId: task.id,
+                        subject: task.subject,
+                        message: task._syncConflict.message,
+                        fields,
+                        local: pickFields(task, fields),
+                        server: pickFields(server, fields)
+                    });
+                }
 
                 // Check if already exists (by id)
                 const exists = state.tasks.some(t => t.id === task.id);
                 if (!exists) {
                     state.tasks.unshift(task);
+                    return true;
                 }
+
+                // Synced and now aggregated by the server - the local copy is done
+                return task._pendingSync;
             });
+
+            if (remaining.length !== pendingTasks.length) {
+                localStorage.setItem('pending_new_tasks', JSON.stringify(remaining));
+            }
         }
     } catch (error) {
         console.error('Failed to load pending local tasks:', error);
@@ -839,6 +2229,9 @@ function loadPendingLocalTasks() {
  * Save a task locally (will be synced later)
  */
 function saveTaskLocally(task) {
+    // Any local change needs to reach the server again
+    task._pendingSync = true;
+
     try {
         const pendingTasks = JSON.parse(localStorage.getItem('pending_new_tasks') || '[]');
 
@@ -855,347 +2248,2027 @@ function saveTaskLocally(task) {
         console.error('Failed to save task locally:', error);
         showToast('Failed to save task locally', 'error');
     }
+    updateSyncBadge();
 }
 
 // ============================================================
-// TASK ACTIONS
+// TASK API
 // ============================================================
 
-function retryTask(taskId) {
-    showToast(`מנסה שוב: ${taskId}`, 'info');
-    // In real implementation, this would trigger the health check for this specific task
+/**
+ * REST path of one task in the unified task store
+ */
+function getTaskApiPath(taskId) {
+    return `/api/tasks/${encodeURIComponent(taskId)}`;
 }
 
-function editTask(taskId) {
-    const task = state.tasks.find(t => t.id === taskId);
-    if (!task) return;
+/**
+ * JSON request to the task API. Resolves to the parsed body with the HTTP status
+ * attached (result.status); rejects only when the server can't be reached.
+ */
+async function taskApi(method, endpoint, body) {
+    const response = await fetch(getApiUrl(endpoint), {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+    });
 
-    // Open edit modal (simplified for now)
-    showToast(`עריכת משימה: ${task.subject}`, 'info');
+    let result;
+    try {
+        result = await response.json();
+    } catch (error) {
+        result = { success: false, error: `HTTP ${response.status}` };
+    }
+    result.status = response.status;
+    return result;
 }
 
-async function startTask(taskId) {
-    const task = state.tasks.find(t => t.id === taskId);
-    if (!task) return;
+/**
+ * Create a task on the server. Returns the stored task, or null if the server
+ * is offline or refused it (caller falls back to the local queue).
+ */
+async function createTaskOnServer(task) {
+    if (!serverAvailable) return null;
 
-    // Check if server is available
-    if (serverAvailable) {
-        // Execute via local server API
-        try {
-            showToast('Starting task...', 'info');
+    try {
+        const result = await taskApi('POST', '/api/tasks', { task: toServerTask(task) });
+        if (result.success) return result.task || toServerTask(task);
+        console.warn('Server rejected new task:', result.error);
+    } catch (error) {
+        console.error('Failed to create task on server:', error);
+    }
+    return null;
+}
 
-            // For local tasks (created in dashboard), don't send taskId since it won't exist on server
-            // Server will use the task description instead
-            const isLocalTask = task._local || task.id.startsWith('local_');
+// ============================================================
+// CONFLICT RESOLUTION
+// ============================================================
 
-            const requestBody = {
-                task: task.description || task.subject,
-                workingDir: task.working_dir || 'C:\\Users\\user\\Desktop',
-                skill: task.assigned_skill
-            };
+// Fields compared when the server refuses a local task during sync
+const SYNC_CONFLICT_FIELDS = ['subject', 'description', 'working_dir', 'status', 'schedule', 'assigned_skill', 'assigned_agent'];
 
-            // Only include taskId for server-side tasks (they exist in unified-tasks.json)
-            if (!isLocalTask) {
-                requestBody.taskId = task.id;
-            }
+/**
+ * Rebuild state.tasks from the last server snapshot plus everything stored locally.
+ * Each local record carries the server version it was made against; records whose
+ * fields were also changed on the server since then become conflicts instead of
+ * silently winning.
+ */
+function applyLocalChanges() {
+    state.tasks = JSON.parse(JSON.stringify(state.serverSnapshot));
+    state.conflicts = [];
 
-            const response = await fetch(getApiUrl('/api/run-task'), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
+    // Load saved task assignments from localStorage
+    loadTaskAssignments();
 
-            const result = await response.json();
+    // Re-apply column moves, status changes and edits the server hasn't picked up yet
+    loadTaskMoves();
+    loadTaskStatusChanges();
+    loadPendingTaskEdits();
 
-            if (result.success) {
-                showToast(`Task started! Run ID: ${result.runId}`, 'success');
+    // Merge pending local tasks (not yet synced to server)
+    loadPendingLocalTasks();
 
-                // Update task status locally
-                task.status = 'in_progress';
-                task.last_updated = new Date().toISOString();
-                renderTasks();
-            } else {
-                showToast(`Failed: ${result.error}`, 'error');
-            }
-        } catch (error) {
-            showToast(`Server error: ${error.message}`, 'error');
-        }
-    } else {
-        // Fallback: Show command to run manually
-        const workingDir = task.working_dir || 'C:\\Users\\user\\Desktop';
-        const skill = task.assigned_skill ? `--skill ${task.assigned_skill}` : '';
-        const taskDesc = (task.description || task.subject).replace(/"/g, '\\"');
+    // Hide deleted tasks - queued deletes and ones still inside the undo window
+    loadPendingTaskDeletes();
+    state.tasks = state.tasks.filter(t => !state.pendingDeletes[t.id]);
+
+    // Runs started from this dashboard aren't in the server data yet
+    Object.values(state.runs).forEach(run => {
+        const task = run.status === 'running' && state.tasks.find(t => t.id === run.taskId);
+        if (task && !task.run_id) task.run_id = run.runId;
+    });
+}
+
+/**
+ * Server version of a task: explicit revision if the aggregator sets one, else its timestamps
+ */
+function getTaskVersion(task) {
+    if (!task) return null;
+    if (task.revision !== undefined) return task.revision;
+    return task.last_updated || task.last_run || task.created || null;
+}
 
-        // Create command
-        const command = `node ~/.claude/command-center/scripts/run-task.js "${taskDesc}" --dir "${workingDir}" ${skill}`.trim();
+function getServerTask(taskId) {
+    return state.serverSnapshot.find(t => t.id === taskId) || null;
+}
+
+function pickFields(obj, fields) {
+    const picked = {};
+    fields.forEach(f => { picked[f] = obj?.[f] ?? null; });
+    return picked;
+}
 
-        // Show modal with command
-        showRunTaskModal(task, command);
+/**
+ * Remember what the server had for these fields when a local change is made.
+ * An existing base is kept - it's the version the first local change was made against.
+ */
+function captureBase(taskId, fields, existingBase) {
+    const serverTask = getServerTask(taskId);
+    if (!serverTask) return existingBase || null;
+    if (!existingBase) {
+        return { version: getTaskVersion(serverTask), values: pickFields(serverTask, fields) };
     }
+    return {
+        version: existingBase.version,
+        values: { ...pickFields(serverTask, fields), ...existingBase.values }
+    };
 }
 
-function showRunTaskModal(task, command) {
-    let modal = document.getElementById('runTaskModal');
+/**
+ * Three-way merge of a local record against the task as the server sent it.
+ * Returns 'apply' (local wins), 'drop' (server already has it) or 'conflict'
+ * (both sides changed the same field - recorded in state.conflicts).
+ */
+function mergeLocalRecord(store, task, localValues, base) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    const fields = Object.keys(localValues);
+
+    if (fields.every(f => same(task[f], localValues[f]))) return 'drop';
+
+    // Records from before versioning, or server hasn't changed the task since
+    if (!base || same(base.version, getTaskVersion(task))) return 'apply';
+
+    // Server changed the task - only fields it changed *differently* clash
+    const conflicting = fields.filter(f =>
+        !same(task[f], base.values?.[f]) && !same(task[f], localValues[f]));
+    if (conflicting.length === 0) return 'apply';
+
+    state.conflicts.push({
+        store,
+        taskId: task.id,
+        subject: task.subject,
+        fields: conflicting,
+        local: pickFields(localValues, conflicting),
+        server: pickFields(task, conflicting)
+    });
+    return 'conflict';
+}
+
+/**
+ * Side-by-side local/server view of every conflict (optionally one task's)
+ */
+function openConflictsModal(taskId = null) {
+    let modal = document.getElementById('conflictsModal');
     if (!modal) {
         modal = document.createElement('div');
-        modal.id = 'runTaskModal';
+        modal.id = 'conflictsModal';
         modal.className = 'modal';
         modal.innerHTML = `
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3>▶️ הרץ משימה</h3>
-                    <button class="modal-close" onclick="closeModal('runTaskModal')">&times;</button>
+                    <h3>⚠️ התנגשויות סנכרון</h3>
+                    <button class="modal-close" onclick="closeModal('conflictsModal')">&times;</button>
                 </div>
-                <div class="modal-body" id="runTaskModalBody"></div>
+                <div class="modal-body" id="conflictsModalBody"></div>
                 <div class="modal-footer">
-                    <button class="btn btn-secondary" onclick="closeModal('runTaskModal')">סגור</button>
-                    <button class="btn btn-primary" onclick="copyTaskCommand()">📋 העתק פקודה</button>
+                    <button class="btn btn-secondary" onclick="closeModal('conflictsModal')">סגור</button>
                 </div>
             </div>
         `;
         document.body.appendChild(modal);
     }
 
-    document.getElementById('runTaskModalBody').innerHTML = `
-        <p><strong>משימה:</strong> ${escapeHtml(task.subject)}</p>
-        <p style="margin-top: 16px; color: var(--text-secondary);">
-            הדאשבורד לא יכול להריץ משימות ישירות (אתר סטטי).<br>
-            הרץ את הפקודה הבאה ב-Claude Code או Terminal:
-        </p>
-        <div style="background: #1E1E1E; color: #D4D4D4; padding: 12px; border-radius: 8px; margin-top: 12px; font-family: monospace; font-size: 12px; overflow-x: auto; direction: ltr; text-align: left;">
-            <code id="taskCommandText">${escapeHtml(command)}</code>
-        </div>
-        <p style="margin-top: 16px; font-size: 12px; color: var(--text-muted);">
-            <strong>או:</strong> הפעל בדיקת בריאות:<br>
-            <code style="background: var(--bg-tertiary); padding: 4px 8px; border-radius: 4px;">
-            %USERPROFILE%\\.claude\\command-center\\run-health-check.bat
-            </code>
-        </p>
-    `;
-
+    modal.dataset.taskId = taskId || '';
+    renderConflicts();
     modal.classList.add('open');
 }
 
-function copyTaskCommand() {
-    const commandText = document.getElementById('taskCommandText')?.textContent;
-    if (commandText) {
-        navigator.clipboard.writeText(commandText).then(() => {
-            showToast('Command copied!', 'success');
-        }).catch(() => {
-            showToast('Failed to copy', 'error');
-        });
+function renderConflicts() {
+    const body = document.getElementById('conflictsModalBody');
+    if (!body) return;
+
+    const filterId = document.getElementById('conflictsModal').dataset.taskId;
+    const storeLabels = {
+        task_assignments: 'הקצאה',
+        task_moves: 'העברת עמודה',
+        task_status_changes: 'שינוי סטטוס',
+        pending_task_edits: 'עריכה',
+        pending_new_tasks: 'משימה מקומית'
+    };
+    const formatValue = (value) => {
+        if (value === null || value === undefined || value === '') return '<span class="conflict-empty">—</span>';
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    };
+
+    const items = state.conflicts
+        .map((conflict, index) => ({ conflict, index }))
+        .filter(({ conflict }) => !filterId || conflict.taskId === filterId);
+
+    if (items.length === 0) {
+        body.innerHTML = '<div class="empty-state"><p>✅ אין התנגשויות</p></div>';
+        return;
     }
-}
 
-function addTaskToSession(sessionId) {
-    // Open the new task modal with session pre-selected
-    openModal('newTaskModal');
-    // Could set a hidden field or state for the target session
-    showToast(`Adding task to ${sessionId}`, 'info');
+    body.innerHTML = items.map(({ conflict, index }) => `
+        <div class="conflict-item">
+            <div class="conflict-title">
+                <strong>${escapeHtml(conflict.subject || conflict.taskId)}</strong>
+                <span class="conflict-kind">${storeLabels[conflict.store] || conflict.store}</span>
+            </div>
+            ${conflict.message ? `<p class="conflict-message">${escapeHtml(conflict.message)}</p>` : ''}
+            <table class="conflict-table">
+                <thead>
+                    <tr><th>שדה</th><th>📱 מקומי</th><th>🖥️ שרת</th></tr>
+                </thead>
+                <tbody>
+                    ${conflict.fields.map(field => `
+                        <tr>
+                            <td>${escapeHtml(field)}</td>
+                            <td>${formatValue(conflict.local[field])}</td>
+                            <td>${formatValue(conflict.server[field])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="conflict-actions">
+                <button class="btn btn-small btn-primary" onclick="resolveConflict(${index}, 'local')">📱 שמור מקומי</button>
+                <button class="btn btn-small btn-secondary" onclick="resolveConflict(${index}, 'server')">🖥️ קבל שרת</button>
+            </div>
+        </div>
+    `).join('');
 }
 
 /**
- * Open task details modal
+ * Resolve a conflict. 'local' re-bases the local record on the current server
+ * version and queues it for sync; 'server' discards the local values.
  */
-function openTaskDetails(taskId) {
-    const task = state.tasks.find(t => t.id === taskId);
-    if (!task) return;
+function resolveConflict(index, choice) {
+    const conflict = state.conflicts[index];
+    if (!conflict) return;
 
-    // Create or update the task details modal
-    let modal = document.getElementById('taskDetailsModal');
-    if (!modal) {
-        modal = document.createElement('div');
-        modal.id = 'taskDetailsModal';
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal-content">
-                <div class="modal-header">
-                    <h3 id="taskDetailsTitle">Task Details</h3>
-                    <button class="modal-close" onclick="closeModal('taskDetailsModal')">&times;</button>
-                </div>
-                <div class="modal-body" id="taskDetailsBody">
-                </div>
-                <div class="modal-footer" id="taskDetailsFooter">
-                </div>
-            </div>
-        `;
-        document.body.appendChild(modal);
+    const { store, taskId, fields } = conflict;
+
+    try {
+        if (store === 'pending_new_tasks') {
+            const queue = JSON.parse(localStorage.getItem(store) || '[]');
+            const item = queue.find(t => t.id === taskId);
+            if (item && choice === 'local') {
+                // Send again, telling the server to overwrite its copy
+                delete item._syncConflict;
+                item._pendingSync = true;
+                item._force = true;
+                localStorage.setItem(store, JSON.stringify(queue));
+            } else if (item) {
+                localStorage.setItem(store, JSON.stringify(queue.filter(t => t.id !== taskId)));
+            }
+        } else {
+            const records = JSON.parse(localStorage.getItem(store) || '{}');
+            const record = records[taskId];
+
+            if (record && choice === 'local') {
+                const serverTask = getServerTask(taskId);
+                record.base = serverTask
+                    ? { version: getTaskVersion(serverTask), values: pickFields(serverTask, Object.keys(record.base?.values || {})) }
+                    : null;
+                record.synced = false;
+                record.changed_at = new Date().toISOString();
+            } else if (record) {
+                // Drop only the clashing fields - the rest of the local change still applies
+                if (store === 'task_assignments') {
+                    if (fields.includes('assigned_skill')) delete record.skill;
+                    if (fields.includes('assigned_agent')) delete record.agent;
+                    if (!('skill' in record) && !('agent' in record)) delete records[taskId];
+                } else if (store === 'pending_task_edits') {
+                    fields.forEach(f => delete record.changes[f]);
+                    if (Object.keys(record.changes).length === 0) delete records[taskId];
+                } else {
+                    delete records[taskId];
+                }
+            }
+            localStorage.setItem(store, JSON.stringify(records));
+        }
+    } catch (error) {
+        console.error('Failed to resolve conflict:', error);
+        showToast('Failed to resolve conflict', 'error');
+        return;
     }
 
-    // Populate skills dropdown options
-    const skillOptions = state.skills.map(s =>
-        `<option value="${escapeHtml(s.id)}" ${task.assigned_skill === s.id ? 'selected' : ''}>${escapeHtml(s.name)}</option>`
-    ).join('');
+    applyLocalChanges();
+    updateStatistics(computeStatistics());
+    renderTasks();
+    renderConflicts();
+    showToast(choice === 'local' ? 'הגרסה המקומית נשמרה' : 'גרסת השרת התקבלה', 'success');
 
-    // Populate agent dropdown options
-    const agentOptions = state.agents.map(a =>
-        `<option value="${escapeHtml(a.id)}" ${task.assigned_agent === a.id ? 'selected' : ''}>${a.icon || '🤖'} ${escapeHtml(a.name)}</option>`
-    ).join('');
+    if (choice === 'local') flushSyncQueues();
+}
 
-    const statusInfo = getStatusInfo(task.status);
-    const projectName = task.project_name || task.project || 'N/A';
-    const lastUpdated = task.last_updated ? formatDate(task.last_updated) : 'N/A';
-    const created = task.created ? formatDate(task.created) : 'N/A';
+// ============================================================
+// OFFLINE SYNC
+// ============================================================
 
-    document.getElementById('taskDetailsTitle').textContent = task.subject;
-    document.getElementById('taskDetailsBody').innerHTML = `
-        <div class="task-detail-row">
-            <label>Status:</label>
-            <span class="task-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
-        </div>
+/**
+ * Flush everything queued while the server was offline:
+ * new local tasks, quick fixes, skill requests and per-task changes
+ */
+async function flushSyncQueues() {
+    if (!serverAvailable || state.syncing) return;
+    state.syncing = true;
+    updateSyncBadge();
 
-        <div class="task-detail-row">
-            <label>Project:</label>
-            <span>${escapeHtml(projectName)}</span>
-        </div>
+    try {
+        const createdTasks = await flushQueue('pending_new_tasks', (task) => {
+            if (!task._pendingSync) return null;
+            // Already created once - later local changes are plain updates
+            return task._synced_at
+                ? { method: 'PATCH', endpoint: getTaskApiPath(task.id), body: { changes: toServerTask(task) } }
+                : { endpoint: '/api/tasks', body: { task: toServerTask(task), force: !!task._force } };
+        }, { keepOnSuccess: true });
+
+        await flushQueue('pending_quick_fixes', (fix) => ({
+            endpoint: '/api/quick-fix',
+            body: {
+                task: fix.prompt,
+                workingDir: fix.workingDir || CONFIG.defaultWorkingDir,
+                skill: null,
+                agent: fix.agent || null,
+                queuedId: fix.id
+            }
+        }), {
+            // taskApi's status is the HTTP code, not the run's
+            onSynced: (fix, { status, ...result }) => recordQuickFixRun(fix.prompt, fix.agent, result)
+        });
 
-        <div class="task-detail-row">
-            <label>Description:</label>
-            <p class="task-description">${escapeHtml(task.description || 'No description')}</p>
-        </div>
+        await flushQueue('pending_skill_requests', (request) => ({
+            endpoint: '/api/skill-request',
+            body: { id: request.id, description: request.description, created: request.created }
+        }));
 
-        ${task.last_result ? `
-        <div class="task-detail-row">
-            <label>Last Result:</label>
-            <p class="task-result ${task.status === 'failed' ? 'error' : ''}">${escapeHtml(task.last_result)}</p>
-        </div>
-        ` : ''}
+        await syncTaskAssignments();
+        await syncTaskMoves();
+        await syncTaskStatusChanges();
+        await syncPendingTaskEdits();
+        await syncTaskDeletes();
 
-        <div class="task-detail-row">
-            <label>Assign Skill:</label>
-            <select id="detailTaskSkill" class="filter-select" onchange="updateTaskAssignment('${task.id}', 'skill', this.value)">
-                <option value="">None</option>
-                ${skillOptions}
-            </select>
-        </div>
+        if (createdTasks.conflicts > 0) {
+            // Rebuild so the new conflicts show up in the resolution list
+            applyLocalChanges();
+            renderTasks();
+        } else if (createdTasks.synced > 0) {
+            renderTasks();
+        }
+        if (createdTasks.synced > 0) {
+            showToast(`${createdTasks.synced} משימות מקומיות סונכרנו לשרת`, 'success');
+        }
+    } finally {
+        state.syncing = false;
+        updateSyncBadge();
+    }
+}
 
-        <div class="task-detail-row">
-            <label>Assign Agent:</label>
-            <select id="detailTaskAgent" class="filter-select" onchange="updateTaskAssignment('${task.id}', 'agent', this.value)">
-                <option value="">Auto</option>
-                ${agentOptions}
-            </select>
-        </div>
+/**
+ * Send each queued item in a localStorage array to the server.
+ * buildRequest(item) returns { endpoint, body } or null to skip the item.
+ * Accepted items are removed, or kept and marked synced with keepOnSuccess;
+ * options.onSynced(item, result) is called for each one.
+ * Rejected items with a conflict are flagged with _syncConflict and skipped
+ * until resolved.
+ */
+async function flushQueue(storageKey, buildRequest, options = {}) {
+    const outcome = { synced: 0, conflicts: 0 };
+    let queue;
+    try {
+        queue = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    } catch (error) {
+        console.error(`Failed to read ${storageKey}:`, error);
+        return outcome;
+    }
 
-        <div class="task-detail-meta">
-            <span>Created: ${created}</span>
-            <span>Updated: ${lastUpdated}</span>
-        </div>
-    `;
+    const done = {}; // id -> { synced } or { conflict }
+    for (const item of queue) {
+        if (item._syncConflict) continue;
+        const request = buildRequest(item);
+        if (!request) continue;
 
-    document.getElementById('taskDetailsFooter').innerHTML = `
-        <button class="btn btn-secondary" onclick="closeModal('taskDetailsModal')">Close</button>
-        ${task.status === 'failed' ? `<button class="btn btn-primary" onclick="retryTask('${task.id}'); closeModal('taskDetailsModal');">🔄 Retry</button>` : ''}
-        ${task.status !== 'completed' ? `<button class="btn btn-primary" onclick="startTask('${task.id}'); closeModal('taskDetailsModal');">▶️ Start</button>` : ''}
-    `;
+        try {
+            const result = await taskApi(request.method || 'POST', request.endpoint, request.body);
 
-    modal.classList.add('open');
+            if (result.success) {
+                done[item.id] = { synced: true };
+                outcome.synced++;
+                options.onSynced?.(item, result);
+            } else if (result.status === 409 || result.conflict) {
+                done[item.id] = {
+                    conflict: {
+                        message: result.error || 'Conflict with server version',
+                        serverTask: result.serverTask || null,
+                        detected: new Date().toISOString()
+                    }
+                };
+                outcome.conflicts++;
+            } else {
+                console.warn(`Server rejected ${storageKey} item ${item.id}:`, result.error);
+            }
+        } catch (error) {
+            console.error(`Failed to sync ${storageKey}:`, error);
+            break; // Server went away - try again when it's back
+        }
+    }
+
+    // Re-read so items queued while requests were in flight aren't lost
+    try {
+        const latest = JSON.parse(localStorage.getItem(storageKey) || '[]');
+        const syncedAt = new Date().toISOString();
+        const next = latest.filter(item => {
+            const result = done[item.id];
+            if (!result) return true;
+            if (result.conflict) {
+                item._syncConflict = result.conflict;
+                return true;
+            }
+            if (!options.keepOnSuccess) return false;
+            item._pendingSync = false;
+            item._synced_at = syncedAt;
+            delete item._force;
+            return true;
+        });
+        localStorage.setItem(storageKey, JSON.stringify(next));
+
+        // Keep the tasks on the board in step with the queue
+        if (storageKey === 'pending_new_tasks') {
+            next.forEach(item => {
+                const task = state.tasks.find(t => t.id === item.id);
+                if (!task || !done[item.id]) return;
+                task._pendingSync = item._pendingSync;
+                task._synced_at = item._synced_at;
+                task._syncConflict = item._syncConflict;
+            });
+        }
+    } catch (error) {
+        console.error(`Failed to save ${storageKey}:`, error);
+    }
+
+    if (outcome.conflicts > 0) {
+        showToast(`${outcome.conflicts} פריטים מתנגשים עם השרת - נדרש טיפול`, 'warning');
+    }
+    return outcome;
 }
 
 /**
- * Update task assignment from details modal
+ * Strip dashboard-only fields (_local, _pendingSync, ...) before sending a task
  */
-function updateTaskAssignment(taskId, type, value) {
-    if (value) {
-        if (type === 'skill') {
-            assignSkillToTask(taskId, value);
-        } else if (type === 'agent') {
-            assignAgentToTask(taskId, value);
+function toServerTask(task) {
+    const copy = {};
+    for (const [key, value] of Object.entries(task)) {
+        if (!key.startsWith('_')) copy[key] = value;
+    }
+    return copy;
+}
+
+/**
+ * Count what's still waiting to reach the server
+ */
+function getPendingSyncCounts() {
+    const read = (key, fallback) => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || fallback);
+        } catch (error) {
+            return JSON.parse(fallback);
         }
-    } else {
-        removeAssignment(taskId, type);
+    };
+
+    const tasks = read('pending_new_tasks', '[]');
+    const fixes = read('pending_quick_fixes', '[]');
+    const skills = read('pending_skill_requests', '[]');
+    const changes = ['task_assignments', 'task_moves', 'task_status_changes', 'pending_task_edits', 'pending_task_deletes']
+        .reduce((sum, key) => sum + Object.values(read(key, '{}')).filter(c => !c.synced).length, 0);
+
+    return {
+        tasks: tasks.filter(t => t._pendingSync !== false).length,
+        quickFixes: fixes.length,
+        skillRequests: skills.length,
+        changes,
+        conflicts: state.conflicts.length
+    };
+}
+
+/**
+ * Header badge with the number of items waiting for sync
+ */
+function updateSyncBadge() {
+    let badge = document.getElementById('syncBadge');
+    if (!badge) {
+        const headerActions = document.querySelector('.header-actions');
+        if (!headerActions) return;
+        badge = document.createElement('button');
+        badge.id = 'syncBadge';
+        badge.type = 'button';
+        badge.addEventListener('click', () => {
+            if (state.conflicts.length > 0) {
+                openConflictsModal();
+            } else if (serverAvailable) {
+                flushSyncQueues();
+            } else {
+                showToast('Server offline - items will sync when it is back', 'warning');
+            }
+        });
+        headerActions.insertBefore(badge, headerActions.firstChild);
     }
+
+    const counts = getPendingSyncCounts();
+    const total = counts.tasks + counts.quickFixes + counts.skillRequests + counts.changes;
+
+    badge.className = `sync-badge ${counts.conflicts ? 'conflict' : ''} ${state.syncing ? 'syncing' : ''} ${total === 0 && counts.conflicts === 0 ? 'hidden' : ''}`;
+    badge.textContent = counts.conflicts ? `⚠️ ${counts.conflicts} · ⏳ ${total}` : `⏳ ${total}`;
+    badge.title = [
+        `Tasks: ${counts.tasks}`,
+        `Quick fixes: ${counts.quickFixes}`,
+        `Skill requests: ${counts.skillRequests}`,
+        `Task changes: ${counts.changes}`,
+        counts.conflicts ? `Conflicts: ${counts.conflicts}` : null,
+        serverAvailable ? 'Click to sync now' : 'Waiting for local server'
+    ].filter(Boolean).join('\n');
 }
 
 // ============================================================
-// HEALTH CHECK
+// LIVE UPDATES (server push)
 // ============================================================
 
-async function runHealthCheck() {
-    if (state.healthCheckRunning) return;
+/**
+ * Subscribe to the server's push channel. While it's open, task diffs, run status,
+ * health results and server status arrive as events and interval polling stands down.
+ * On error the stream is dropped and the next server status check reconnects.
+ */
+function connectEventStream() {
+    if (eventStream || !serverAvailable || !window.EventSource) return;
 
-    state.healthCheckRunning = true;
-    const btn = document.getElementById('runHealthCheckBtn');
-    const modal = document.getElementById('healthResultsModal');
-    const resultsBody = document.getElementById('healthResultsBody');
+    const source = new EventSource(getApiUrl('/api/events'));
+    const isReconnect = eventStreamOpenedOnce;
+    eventStream = source;
 
-    // Update button state
-    btn.classList.add('loading');
-    btn.innerHTML = '⏳ בודק...';
+    source.onopen = () => {
+        state.liveUpdates = true;
+        eventStreamOpenedOnce = true;
+        updateServerStatusUI();
+        // Catch up on anything missed while disconnected
+        if (isReconnect) loadTasks();
+    };
 
-    // Show modal with loading
-    modal.classList.add('open');
-    resultsBody.innerHTML = `
-        <div class="loading-spinner">
-            <div class="spinner"></div>
-            <span>${serverAvailable ? 'מריץ בדיקת בריאות אמיתית...' : 'מרענן נתונים...'}</span>
-        </div>
-    `;
+    source.addEventListener('tasks', (e) => handleStreamEvent(e, applyTaskDiff));
+    source.addEventListener('run', (e) => handleStreamEvent(e, applyRunStatus));
+    source.addEventListener('health', (e) => handleStreamEvent(e, applyHealthResult));
+    source.addEventListener('status', (e) => handleStreamEvent(e, applyServerStatus));
 
-    try {
-        // If server is available, run actual health check
-        if (serverAvailable) {
-            showToast('Running full health check via local server...', 'info');
+    source.onerror = () => {
+        source.close();
+        eventStream = null;
+        state.liveUpdates = false;
+        updateServerStatusUI();
+    };
+}
 
-            const response = await fetch(getApiUrl('/api/health-check'), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
-            });
+function handleStreamEvent(e, handler) {
+    let data;
+    try {
+        data = JSON.parse(e.data);
+    } catch (error) {
+        console.error(`Invalid ${e.type} event:`, error);
+        return;
+    }
+    handler(data);
+}
 
-            const result = await response.json();
+/**
+ * Apply a task diff ({ changed: [{ id, ...fields }], deleted: [id], statistics? })
+ * to the server snapshot, re-merge local changes and refresh the affected cards
+ */
+function applyTaskDiff(diff) {
+    const touched = new Set();
+
+    (diff.changed || []).forEach(change => {
+        const existing = state.serverSnapshot.find(t => t.id === change.id);
+        if (existing) {
+            Object.assign(existing, change);
+        } else if (change.subject !== undefined) {
+            // Unknown ids only count when the event carries the whole task
+            state.serverSnapshot.push(change);
+        } else {
+            return;
+        }
+        touched.add(change.id);
+    });
 
-            if (result.success) {
-                // Show server output
-                resultsBody.innerHTML = `
-                    <div class="health-result-item">
-                        <span class="health-result-label">Status</span>
-                        <span class="health-result-value success">Health check completed!</span>
-                    </div>
-                    <div class="health-fixes-list" style="margin-top: 16px;">
-                        <h4>Server Output:</h4>
-                        <pre style="background: #1E1E1E; color: #D4D4D4; padding: 12px; border-radius: 8px; font-size: 11px; overflow-x: auto; direction: ltr; text-align: left; max-height: 300px; overflow-y: auto;">${escapeHtml(result.output || 'No output')}</pre>
-                    </div>
-                `;
+    if (diff.deleted?.length) {
+        const deleted = new Set(diff.deleted);
+        state.serverSnapshot = state.serverSnapshot.filter(t => !deleted.has(t.id));
+        deleted.forEach(id => touched.add(id));
+    }
 
-                // Reload tasks to get updated data
-                await loadTasks();
-                showToast('Health check completed!', 'success');
-            } else {
-                throw new Error(result.error || 'Health check failed');
+    if (touched.size === 0) return;
+
+    applyLocalChanges();
+    checkTaskNotifications();
+    updateStatistics(diff.statistics || computeStatistics());
+    renderTasks();
+}
+
+/**
+ * Run status change pushed by the server (including background/scheduled runs)
+ */
+function applyRunStatus(run) {
+    const changes = {
+        id: run.taskId,
+        status: run.status,
+        run_id: run.status === 'in_progress' ? run.runId : null
+    };
+    if (run.last_run) changes.last_run = run.last_run;
+    if (run.last_result !== undefined) changes.last_result = run.last_result;
+
+    applyTaskDiff({ changed: [changes] });
+}
+
+/**
+ * Health check finished on the server (scheduled or triggered elsewhere)
+ */
+function applyHealthResult(result) {
+    if (result.tasks) applyTaskDiff(result.tasks);
+    const analysis = analyzeTaskHealth();
+    updateHealthBanner(analysis);
+    checkHealthNotifications(analysis);
+    loadHealthLog();
+
+    if (result.completed_at) {
+        document.getElementById('lastCheck').textContent = formatRelativeTime(result.completed_at);
+    }
+}
+
+function applyServerStatus(status) {
+    schedulerState = status.scheduler || null;
+    updateSchedulerStatusUI();
+}
+
+// ============================================================
+// TASK ACTIONS
+// ============================================================
+
+/**
+ * Re-run a failed task and bump its retry_count
+ * Returns the server result when the run started, null/undefined otherwise
+ */
+async function retryTask(taskId, options = {}) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || state.retriesInFlight.has(taskId)) return;
+
+    // Same rule as startTask: don't run tasks out of order
+    const openBlockers = getOpenBlockers(task);
+    if (openBlockers.length > 0) {
+        if (!options.auto) showToast(`Task is blocked by: ${openBlockers.map(b => b.subject).join(', ')}`, 'warning');
+        return;
+    }
+
+    if (!serverAvailable) {
+        if (!options.auto) showManualRunCommand(task);
+        return;
+    }
+
+    const policy = getRetryPolicy();
+    const attempt = (task.retry_count || 0) + 1;
+
+    state.retriesInFlight.add(taskId);
+    try {
+        showToast(options.auto
+            ? `ניסיון חוזר אוטומטי ${attempt}/${policy.maxAttempts}: ${task.subject}`
+            : `מנסה שוב: ${task.subject}`, 'info');
+
+        const result = await runTask(task, 'retry', { retry: true, retryCount: attempt });
+        if (result) {
+            task.retry_count = attempt;
+            task.last_retry = new Date().toISOString();
+            delete task.next_retry;
+
+            persistTaskChanges(task, { retry_count: attempt, last_retry: task.last_retry });
+            renderTasks();
+        }
+        return result;
+    } finally {
+        state.retriesInFlight.delete(taskId);
+    }
+}
+
+/**
+ * Get the retry policy: CONFIG defaults with localStorage overrides
+ */
+function getRetryPolicy() {
+    try {
+        const overrides = JSON.parse(localStorage.getItem('retry_policy') || '{}');
+        return { ...CONFIG.retryPolicy, ...overrides };
+    } catch (error) {
+        console.error('Invalid retry policy:', error);
+        return { ...CONFIG.retryPolicy };
+    }
+}
+
+/**
+ * Delay before the next attempt - exponential backoff capped at maxDelay
+ */
+function getRetryDelay(retryCount, policy = getRetryPolicy()) {
+    return Math.min(policy.baseDelay * Math.pow(2, retryCount), policy.maxDelay);
+}
+
+/**
+ * A completed run ends the failure streak - maxAttempts counts failures in a row,
+ * not over a recurring task's lifetime
+ */
+function resetRetryCounts(tasks = state.tasks) {
+    const done = tasks.filter(t => t.status === 'completed' && t.retry_count > 0);
+    done.forEach(task => {
+        const changes = { retry_count: 0 };
+        Object.assign(task, changes);
+        delete task.next_retry;
+        storeTaskChanges(task, changes);
+    });
+    if (done.some(t => !t._local)) syncPendingTaskEdits();
+}
+
+function isRetryExhausted(task) {
+    return task.status === 'failed' && (task.retry_count || 0) >= getRetryPolicy().maxAttempts;
+}
+
+/**
+ * Compute next_retry for failed scheduled tasks and retry the ones that are due
+ */
+function scheduleAutoRetries() {
+    const policy = getRetryPolicy();
+    if (!policy.autoRetryScheduled) return;
+
+    const now = Date.now();
+
+    // The server snapshot still says failed while a retry started here is running
+    const running = new Set(Object.values(state.runs)
+        .filter(run => run.status === 'running')
+        .map(run => run.taskId));
+
+    state.tasks
+        .filter(t => t.source === 'scheduled' && t.status === 'failed' && !isRetryExhausted(t) && !running.has(t.id))
+        .forEach(task => {
+            // Back off from whichever came last: the failed run or our last retry
+            const failedAt = Math.max(
+                new Date(task.last_run || task.last_updated || task.created || now).getTime(),
+                task.last_retry ? new Date(task.last_retry).getTime() : 0
+            );
+            const dueAt = failedAt + getRetryDelay(task.retry_count || 0, policy);
+            task.next_retry = new Date(dueAt).toISOString();
+
+            if (dueAt <= now && serverAvailable) {
+                retryTask(task.id, { auto: true });
             }
-        } else {
-            // Fallback: Just refresh data and analyze locally
-            await loadTasks();
-            const results = analyzeTaskHealth();
-            resultsBody.innerHTML = renderHealthResults(results);
-            updateHealthBanner(results);
+        });
+}
 
-            resultsBody.innerHTML += `
-                <div class="health-fixes-list" style="margin-top: 16px; background: #FEF3C7;">
-                    <h4>⚠️ Limited Mode</h4>
-                    <p style="font-size: 12px; color: var(--text-secondary);">
-                        Local server is not running. To enable full health checks with task retry:<br>
-                        Run <code>%USERPROFILE%\\.claude\\command-center\\start-server.bat</code>
-                    </p>
-                </div>
-            `;
+/**
+ * Retry state line for failed task cards
+ */
+function renderRetryInfo(task) {
+    const max = getRetryPolicy().maxAttempts;
+    const count = task.retry_count || 0;
 
-            showToast('Data refreshed (server offline)', 'warning');
+    if (isRetryExhausted(task)) {
+        return `<div class="task-retry exhausted">⛔ מוצו הניסיונות החוזרים (${count}/${max})</div>`;
+    }
+    if (task.next_retry) {
+        return `<div class="task-retry">🔁 ניסיון ${count + 1}/${max} ב-${formatDate(task.next_retry)}</div>`;
+    }
+    if (count > 0) {
+        return `<div class="task-retry">🔁 ${count}/${max} ניסיונות חוזרים</div>`;
+    }
+    return '';
+}
+
+function editTask(taskId) {
+    openTaskEditor(taskId);
+}
+
+async function startTask(taskId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    // Don't run tasks out of order
+    const openBlockers = getOpenBlockers(task);
+    if (openBlockers.length > 0) {
+        const names = openBlockers.map(b => b.subject).join(', ');
+        showToast(`Task is blocked by: ${names}`, 'warning');
+        return;
+    }
+
+    // Check if server is available
+    if (serverAvailable) {
+        showToast('Starting task...', 'info');
+        await runTask(task);
+    } else {
+        showManualRunCommand(task);
+    }
+}
+
+/**
+ * Execute a task via the local server API and record it in the run history
+ * kind: 'start' or 'retry'
+ * Returns the server result on success, null otherwise
+ */
+async function runTask(task, kind = 'start', extraBody = {}) {
+    const historyBase = {
+        kind,
+        started: new Date().toISOString(),
+        agent: task.assigned_agent || null,
+        skill: task.assigned_skill || null,
+        attempt: extraBody.retryCount || null
+    };
+
+    try {
+        // For local tasks (created in dashboard), don't send taskId since it won't exist on server
+        // Server will use the task description instead
+        const isLocalTask = task._local || task.id.startsWith('local_');
+
+        const requestBody = {
+            task: task.description || task.subject,
+            workingDir: task.working_dir || CONFIG.defaultWorkingDir,
+            skill: task.assigned_skill,
+            agent: task.assigned_agent || null,
+            claudePath: task.claude_path || null,
+            ...extraBody
+        };
+
+        // Only include taskId for server-side tasks (they exist in unified-tasks.json)
+        if (!isLocalTask) {
+            requestBody.taskId = task.id;
+        }
+
+        const response = await fetch(getApiUrl('/api/run-task'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(requestBody)
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showToast(`Task started! Run ID: ${result.runId}`, 'success');
+
+            // Update task status locally
+            task.status = 'in_progress';
+            task.last_updated = new Date().toISOString();
+            task.run_id = result.runId;
+            addRunHistoryEntry(task.id, { ...historyBase, runId: result.runId || null, status: 'running' });
+            renderTasks();
+
+            // Follow the run's output until it exits
+            if (result.runId) {
+                watchRun(result.runId, task);
+            }
+            return result;
         }
+
+        showToast(`Failed: ${result.error}`, 'error');
+        addRunHistoryEntry(task.id, { ...historyBase, status: 'error', excerpt: result.error || null });
     } catch (error) {
-        resultsBody.innerHTML = `
-            <div class="health-result-item">
-                <span class="health-result-label">שגיאה</span>
-                <span class="health-result-value error">${escapeHtml(error.message)}</span>
+        showToast(`Server error: ${error.message}`, 'error');
+        addRunHistoryEntry(task.id, { ...historyBase, status: 'error', excerpt: error.message });
+    }
+    return null;
+}
+
+/**
+ * Fallback when the server is offline: show the command to run manually
+ */
+function showManualRunCommand(task) {
+    const workingDir = task.working_dir || CONFIG.defaultWorkingDir;
+    const skill = task.assigned_skill ? `--skill ${task.assigned_skill}` : '';
+    const taskDesc = (task.description || task.subject).replace(/"/g, '\\"');
+
+    // Create command
+    const command = `node ~/.claude/command-center/scripts/run-task.js "${taskDesc}" --dir "${workingDir}" ${skill}`.trim();
+
+    // Show modal with command
+    showRunTaskModal(task, command);
+}
+
+function showRunTaskModal(task, command) {
+    let modal = document.getElementById('runTaskModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'runTaskModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>▶️ הרץ משימה</h3>
+                    <button class="modal-close" onclick="closeModal('runTaskModal')">&times;</button>
+                </div>
+                <div class="modal-body" id="runTaskModalBody"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" onclick="closeModal('runTaskModal')">סגור</button>
+                    <button class="btn btn-primary" onclick="copyTaskCommand()">📋 העתק פקודה</button>
+                </div>
             </div>
-            <div class="health-fixes-list" style="margin-top: 16px;">
-                <p style="font-size: 12px; color: var(--text-secondary);">
-                    💡 <strong>טיפ:</strong> Start the local server for full functionality:<br>
-                    <code>%USERPROFILE%\\.claude\\command-center\\start-server.bat</code>
-                </p>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    document.getElementById('runTaskModalBody').innerHTML = `
+        <p><strong>משימה:</strong> ${escapeHtml(task.subject)}</p>
+        <p style="margin-top: 16px; color: var(--text-secondary);">
+            הדאשבורד לא יכול להריץ משימות ישירות (אתר סטטי).<br>
+            הרץ את הפקודה הבאה ב-Claude Code או Terminal:
+        </p>
+        <div style="background: #1E1E1E; color: #D4D4D4; padding: 12px; border-radius: 8px; margin-top: 12px; font-family: monospace; font-size: 12px; overflow-x: auto; direction: ltr; text-align: left;">
+            <code id="taskCommandText">${escapeHtml(command)}</code>
+        </div>
+        <p style="margin-top: 16px; font-size: 12px; color: var(--text-muted);">
+            <strong>או:</strong> הפעל בדיקת בריאות:<br>
+            <code style="background: var(--bg-tertiary); padding: 4px 8px; border-radius: 4px;">
+            %USERPROFILE%\\.claude\\command-center\\run-health-check.bat
+            </code>
+        </p>
+    `;
+
+    modal.classList.add('open');
+}
+
+function copyTaskCommand() {
+    const commandText = document.getElementById('taskCommandText')?.textContent;
+    if (commandText) {
+        navigator.clipboard.writeText(commandText).then(() => {
+            showToast('Command copied!', 'success');
+        }).catch(() => {
+            showToast('Failed to copy', 'error');
+        });
+    }
+}
+
+function addTaskToSession(sessionId) {
+    // Open the new task modal with session pre-selected
+    openModal('newTaskModal');
+    // Could set a hidden field or state for the target session
+    showToast(`Adding task to ${sessionId}`, 'info');
+}
+
+/**
+ * Open task details modal
+ */
+function openTaskDetails(taskId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    // Create or update the task details modal
+    let modal = document.getElementById('taskDetailsModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'taskDetailsModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3 id="taskDetailsTitle">Task Details</h3>
+                    <button class="modal-close" onclick="closeModal('taskDetailsModal')">&times;</button>
+                </div>
+                <div class="modal-body" id="taskDetailsBody">
+                </div>
+                <div class="modal-footer" id="taskDetailsFooter">
+                </div>
             </div>
         `;
-        showToast('Health check error', 'error');
+        document.body.appendChild(modal);
+    }
+
+    // Populate skills dropdown options
+    const skillOptions = state.skills.map(s =>
+        `<option value="${escapeHtml(s.id)}" ${task.assigned_skill === s.id ? 'selected' : ''}>${escapeHtml(s.name)}</option>`
+    ).join('');
+
+    // Populate agent dropdown options
+    const agentOptions = state.agents.map(a =>
+        `<option value="${escapeHtml(a.id)}" ${task.assigned_agent === a.id ? 'selected' : ''}>${a.icon || '🤖'} ${escapeHtml(a.name)}</option>`
+    ).join('');
+
+    const statusInfo = getStatusInfo(task.status);
+    const projectName = task.project_name || task.project || 'N/A';
+    const lastUpdated = task.last_updated ? formatDate(task.last_updated) : 'N/A';
+    const created = task.created ? formatDate(task.created) : 'N/A';
+
+    document.getElementById('taskDetailsTitle').textContent = task.subject;
+    document.getElementById('taskDetailsBody').innerHTML = `
+        <div class="task-detail-row">
+            <label>Status:</label>
+            <span class="task-status ${statusInfo.class}">${statusInfo.icon} ${statusInfo.text}</span>
+        </div>
+
+        <div class="task-detail-row">
+            <label>Project:</label>
+            <span>${escapeHtml(projectName)}</span>
+        </div>
+
+        <div class="task-detail-row">
+            <label>Description:</label>
+            <p class="task-description">${escapeHtml(task.description || 'No description')}</p>
+        </div>
+
+        ${task.schedule ? `
+        <div class="task-detail-row">
+            <label>Schedule:</label>
+            <span>${escapeHtml(describeSchedule(task.schedule))}</span>
+            <span class="task-next-run">Next run: ${getTaskNextRun(task) ? formatDate(getTaskNextRun(task).toISOString()) : '-'}</span>
+        </div>
+        ` : ''}
+
+        ${renderDependencyDetails(task)}
+
+        ${task.status === 'in_progress' && task.run_id ? `
+        <div class="task-detail-row">
+            <label for="detailStopReason">Stop Reason:</label>
+            <input type="text" id="detailStopReason" class="search-input small" placeholder="${DEFAULT_STOP_REASON}">
+        </div>
+        ` : ''}
+
+        ${task.status === 'cancelled' && task.cancel_reason ? `
+        <div class="task-detail-row">
+            <label>Cancel Reason:</label>
+            <p class="task-description">${escapeHtml(task.cancel_reason)}</p>
+        </div>
+        ` : ''}
+
+        ${task.last_result ? `
+        <div class="task-detail-row">
+            <label>Last Result:</label>
+            <p class="task-result ${task.status === 'failed' ? 'error' : ''}">${escapeHtml(task.last_result)}</p>
+        </div>
+        ` : ''}
+
+        ${renderRunHistory(task.id)}
+
+        <div class="task-detail-row">
+            <label>Assign Skill:</label>
+            <select id="detailTaskSkill" class="filter-select" onchange="updateTaskAssignment('${task.id}', 'skill', this.value)">
+                <option value="">None</option>
+                ${skillOptions}
+            </select>
+        </div>
+
+        <div class="task-detail-row">
+            <label>Assign Agent:</label>
+            <select id="detailTaskAgent" class="filter-select" onchange="updateTaskAssignment('${task.id}', 'agent', this.value)">
+                <option value="">Auto</option>
+                ${agentOptions}
+            </select>
+        </div>
+
+        <div class="task-detail-meta">
+            <span>Created: ${created}</span>
+            <span>Updated: ${lastUpdated}</span>
+            ${task.archived ? `<span>Archived: ${task.archived_at ? formatDate(task.archived_at) : 'Yes'}</span>` : ''}
+        </div>
+    `;
+
+    document.getElementById('taskDetailsFooter').innerHTML = `
+        <button class="btn btn-secondary" onclick="closeModal('taskDetailsModal')">Close</button>
+        <button class="btn btn-secondary" onclick="closeModal('taskDetailsModal'); editTask('${task.id}');">✏️ Edit</button>
+        ${task.status === 'failed' ? `<button class="btn btn-primary" onclick="retryTask('${task.id}'); closeModal('taskDetailsModal');">🔄 Retry</button>` : ''}
+        ${task.status === 'in_progress' && task.run_id ? `<button class="btn btn-danger" onclick="stopTask('${task.id}', document.getElementById('detailStopReason')?.value); closeModal('taskDetailsModal');">⏹️ Stop</button>` : ''}
+        ${task.status !== 'completed' ? `<button class="btn btn-primary" ${isTaskBlocked(task) ? 'disabled title="Blocked by unfinished tasks"' : ''} onclick="startTask('${task.id}'); closeModal('taskDetailsModal');">▶️ Start</button>` : ''}
+        <button class="btn btn-secondary" onclick="archiveTask('${task.id}', ${!task.archived}); closeModal('taskDetailsModal');">${task.archived ? '📤 Unarchive' : '🗄️ Archive'}</button>
+        <button class="btn btn-danger" onclick="deleteTask('${task.id}'); closeModal('taskDetailsModal');">🗑️ Delete</button>
+    `;
+
+    modal.dataset.taskId = task.id;
+    modal.dataset.rendered = JSON.stringify(task);
+    modal.classList.add('open');
+}
+
+/**
+ * Keep an open task details modal in step with the board after a re-render
+ */
+function refreshOpenTaskDetails() {
+    const modal = document.getElementById('taskDetailsModal');
+    if (!modal || !modal.classList.contains('open')) return;
+
+    const task = state.tasks.find(t => t.id === modal.dataset.taskId);
+    if (!task) {
+        closeModal('taskDetailsModal');
+        return;
+    }
+
+    // Unchanged, or the user is in the middle of picking a skill/agent
+    if (modal.dataset.rendered === JSON.stringify(task)) return;
+    if (modal.contains(document.activeElement) && document.activeElement.matches('select, input, textarea')) return;
+
+    const content = modal.querySelector('.modal-content');
+    const scrollTop = content.scrollTop;
+    openTaskDetails(task.id);
+    content.scrollTop = scrollTop;
+}
+
+/**
+ * Render blockedBy/blocks lists for the task details modal
+ */
+function renderDependencyDetails(task) {
+    const renderRefs = (refs) => refs.map(ref => {
+        const dep = resolveTaskRef(task, ref);
+        if (!dep) return `<li class="dep-missing">${escapeHtml(String(ref))} (not found)</li>`;
+        const statusInfo = getStatusInfo(dep.status);
+        return `
+            <li onclick="openTaskDetails('${dep.id}')">
+                <span class="task-status ${statusInfo.class}">${statusInfo.icon}</span>
+                ${escapeHtml(dep.subject)}
+            </li>
+        `;
+    }).join('');
+
+    let html = '';
+    if (task.blockedBy?.length) {
+        html += `
+        <div class="task-detail-row">
+            <label>Blocked By:</label>
+            <ul class="dependency-list">${renderRefs(task.blockedBy)}</ul>
+        </div>
+        `;
+    }
+    if (task.blocks?.length) {
+        html += `
+        <div class="task-detail-row">
+            <label>Blocks:</label>
+            <ul class="dependency-list">${renderRefs(task.blocks)}</ul>
+        </div>
+        `;
+    }
+    return html;
+}
+
+/**
+ * Update task assignment from details modal
+ */
+function updateTaskAssignment(taskId, type, value) {
+    if (value) {
+        if (type === 'skill') {
+            assignSkillToTask(taskId, value);
+        } else if (type === 'agent') {
+            assignAgentToTask(taskId, value);
+        }
+    } else {
+        removeAssignment(taskId, type);
+    }
+}
+
+// ============================================================
+// RUN HISTORY
+// ============================================================
+
+// Quick fixes aren't tasks - their runs are kept under this pseudo task id
+const QUICK_FIX_HISTORY_ID = '_quick_fix';
+
+function getRunHistory(taskId) {
+    try {
+        const history = JSON.parse(localStorage.getItem('task_run_history') || '{}');
+        return history[taskId] || [];
+    } catch (error) {
+        console.error('Failed to load run history:', error);
+        return [];
+    }
+}
+
+function saveRunHistory(taskId, entries) {
+    try {
+        const history = JSON.parse(localStorage.getItem('task_run_history') || '{}');
+        history[taskId] = entries.slice(0, CONFIG.runHistoryLimit);
+        localStorage.setItem('task_run_history', JSON.stringify(history));
+    } catch (error) {
+        console.error('Failed to save run history:', error);
+    }
+}
+
+/**
+ * Record a run (newest first)
+ */
+function addRunHistoryEntry(taskId, entry) {
+    const entries = getRunHistory(taskId);
+    entries.unshift({
+        runId: null,
+        ended: null,
+        duration_ms: null,
+        exitCode: null,
+        excerpt: null,
+        ...entry
+    });
+    saveRunHistory(taskId, entries);
+}
+
+/**
+ * Fill in a run's outcome once it exits
+ */
+function updateRunHistoryEntry(taskId, runId, updates) {
+    if (!runId) return;
+    const entries = getRunHistory(taskId);
+    const entry = entries.find(e => e.runId === runId);
+    if (!entry) return;
+    Object.assign(entry, updates);
+    saveRunHistory(taskId, entries);
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const sec = Math.round(ms / 1000);
+    if (sec < 60) return `${sec}s`;
+    const min = Math.floor(sec / 60);
+    if (min < 60) return `${min}m ${sec % 60}s`;
+    return `${Math.floor(min / 60)}h ${min % 60}m`;
+}
+
+/**
+ * Timeline of past runs for the task details modal
+ */
+function renderRunHistory(taskId) {
+    const entries = getRunHistory(taskId);
+    if (entries.length === 0) return '';
+
+    const kindLabels = { start: '▶️ Start', retry: '🔄 Retry', 'quick-fix': '⚡ Quick fix' };
+    const statusIcons = { running: '🔄', sent: '📤', completed: '✅', failed: '❌', error: '⚠️', cancelled: '⏹️' };
+
+    return `
+        <div class="task-detail-row">
+            <label>Run History (${entries.length}):</label>
+            <ol class="run-timeline">
+                ${entries.map(entry => `
+                    <li class="run-timeline-item ${entry.status}">
+                        <div class="run-timeline-head">
+                            <span>${statusIcons[entry.status] || '•'} ${kindLabels[entry.kind] || escapeHtml(entry.kind)}${entry.attempt ? ` #${entry.attempt}` : ''}</span>
+                            <span class="run-timeline-time">${formatDate(entry.started)}</span>
+                        </div>
+                        <div class="run-timeline-meta">
+                            <span>⏱️ ${formatDuration(entry.duration_ms)}</span>
+                            ${entry.exitCode !== null && entry.exitCode !== undefined ? `<span>exit ${escapeHtml(String(entry.exitCode))}</span>` : ''}
+                            ${entry.agent ? `<span>🤖 ${escapeHtml(entry.agent)}</span>` : ''}
+                            ${entry.skill ? `<span>⚡ ${escapeHtml(entry.skill)}</span>` : ''}
+                        </div>
+                        ${entry.excerpt ? `<pre class="run-timeline-excerpt">${escapeHtml(entry.excerpt)}</pre>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+/**
+ * Quick fix runs, shown in the Quick Fix panel
+ */
+function renderQuickFixHistory() {
+    const container = document.getElementById('quickFixHistory');
+    if (!container) return;
+    container.innerHTML = renderRunHistory(QUICK_FIX_HISTORY_ID);
+}
+
+// ============================================================
+// RUN CONSOLE (live output)
+// ============================================================
+
+/**
+ * Start following a run: SSE stream if the browser supports it, polling otherwise
+ */
+function watchRun(runId, task) {
+    const run = {
+        runId,
+        taskId: task.id,
+        subject: task.subject,
+        status: 'running',
+        started: new Date().toISOString(),
+        output: [],
+        outputSize: 0,
+        offset: 0, // Chunks received so far (for polling resume)
+        eventSource: null,
+        pollTimer: null
+    };
+    state.runs[runId] = run;
+
+    if (window.EventSource) {
+        subscribeRunStream(run);
+    } else {
+        pollRunStatus(run);
+    }
+
+    openRunConsole(runId);
+}
+
+function subscribeRunStream(run) {
+    const source = new EventSource(getApiUrl(`/api/runs/${encodeURIComponent(run.runId)}/stream`));
+    run.eventSource = source;
+
+    source.addEventListener('output', (e) => {
+        try {
+            const chunk = JSON.parse(e.data);
+            appendRunOutput(run, chunk.stream, chunk.text);
+        } catch (error) {
+            console.error('Invalid run output event:', error);
+        }
+    });
+
+    source.addEventListener('exit', (e) => {
+        let info = {};
+        try {
+            info = JSON.parse(e.data);
+        } catch (error) {
+            console.error('Invalid run exit event:', error);
+        }
+        finishRun(run, info);
+    });
+
+    source.onerror = () => {
+        // Stream not supported or dropped - carry on by polling from where we are
+        if (run.status !== 'running') return;
+        source.close();
+        run.eventSource = null;
+        pollRunStatus(run);
+    };
+}
+
+async function pollRunStatus(run) {
+    if (run.status !== 'running') return;
+
+    try {
+        const response = await fetch(getApiUrl(`/api/runs/${encodeURIComponent(run.runId)}?offset=${run.offset}`));
+        const result = await response.json();
+
+        if (result.success) {
+            (result.chunks || []).forEach(chunk => appendRunOutput(run, chunk.stream, chunk.text));
+
+            if (result.status && result.status !== 'running') {
+                finishRun(run, result);
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('Run status poll failed:', error);
+    }
+
+    run.pollTimer = setTimeout(() => pollRunStatus(run), CONFIG.runPollInterval);
+}
+
+function appendRunOutput(run, stream, text) {
+    if (!text) return;
+
+    const chunk = { stream: stream === 'stderr' ? 'stderr' : 'stdout', text };
+    run.output.push(chunk);
+    run.outputSize += text.length;
+    run.lastOutputAt = new Date().toISOString();
+    run.offset++;
+
+    // Keep memory bounded on chatty runs
+    while (run.outputSize > CONFIG.runOutputLimit && run.output.length > 1) {
+        run.outputSize -= run.output.shift().text.length;
+        run.truncated = true;
+    }
+
+    if (state.activeRunId === run.runId) {
+        const pre = document.getElementById('runConsoleOutput');
+        if (pre) {
+            const span = document.createElement('span');
+            span.className = `run-${chunk.stream}`;
+            span.textContent = text;
+            pre.appendChild(span);
+            pre.scrollTop = pre.scrollHeight;
+        }
+    }
+}
+
+/**
+ * Run exited - stop listening and write the outcome back to the task
+ */
+function finishRun(run, info) {
+    if (run.status !== 'running') return;
+
+    if (run.eventSource) run.eventSource.close();
+    if (run.pollTimer) clearTimeout(run.pollTimer);
+    run.eventSource = null;
+    run.pollTimer = null;
+
+    const exitCode = info.exitCode ?? null;
+    const cancelled = info.status === 'cancelled';
+    const failed = info.status ? info.status === 'failed' : exitCode !== 0;
+    run.status = cancelled ? 'cancelled' : failed ? 'failed' : 'completed';
+    run.exitCode = exitCode;
+    run.ended = new Date().toISOString();
+
+    // Fall back to the tail of the output if the server sent no summary
+    const tail = run.output.map(c => c.text).join('').trim().slice(-500);
+    run.result = info.result || tail || (failed ? `exit code ${exitCode}` : 'completed');
+
+    updateRunHistoryEntry(run.taskId, run.runId, {
+        status: run.status,
+        exitCode,
+        ended: run.ended,
+        duration_ms: new Date(run.ended) - new Date(run.started),
+        excerpt: run.result.slice(-300)
+    });
+
+    settleHealthFix(run.runId, run.status === 'completed');
+
+    if (run.taskId === QUICK_FIX_HISTORY_ID) renderQuickFixHistory();
+
+    const task = state.tasks.find(t => t.id === run.taskId);
+    if (task) {
+        task.status = run.status;
+        task.last_run = run.started;
+        task.last_result = run.result;
+        task.exit_code = exitCode;
+        task.last_updated = run.ended;
+        if (cancelled) task.cancel_reason = info.reason || null;
+        if (run.status === 'completed') resetRetryCounts([task]);
+
+        // Server-side tasks get their result written (and notified) by the server itself
+        if (task._local) {
+            saveTaskLocally(task);
+            checkTaskNotifications();
+        }
+
+        updateStatistics(computeStatistics());
+        renderTasks();
+    }
+
+    if (state.activeRunId === run.runId) renderRunConsole();
+    if (cancelled) {
+        showToast(`⏹️ Run cancelled: ${run.subject}`, 'warning');
+    } else {
+        showToast(failed ? `❌ Run failed: ${run.subject}` : `✅ Run completed: ${run.subject}`,
+            failed ? 'error' : 'success');
+    }
+}
+
+// Cancel reason when the details modal's Stop Reason field is left empty (or stopped from a card)
+const DEFAULT_STOP_REASON = 'Stopped from dashboard';
+
+/**
+ * Stop a running task - the server kills the spawned process tree
+ */
+async function stopTask(taskId, reason) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task || task.status !== 'in_progress') return;
+
+    if (!task.run_id) {
+        showToast('No run ID for this task - it was not started from this dashboard', 'warning');
+        return;
+    }
+    if (!serverAvailable) {
+        showToast('Local server offline - cannot stop the run', 'error');
+        return;
+    }
+
+    reason = (reason || '').trim() || DEFAULT_STOP_REASON;
+
+    try {
+        const response = await fetch(getApiUrl('/api/cancel-run'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ runId: task.run_id, taskId: task.id, reason })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Cancel failed');
+        }
+
+        const info = { status: 'cancelled', exitCode: result.exitCode ?? null, reason, result: `Cancelled: ${reason}` };
+        const run = state.runs[task.run_id];
+
+        if (run) {
+            finishRun(run, info);
+        } else {
+            // Run started before a reload - nothing to unsubscribe, just update the task
+            task.status = 'cancelled';
+            task.cancel_reason = reason;
+            task.last_result = info.result;
+            task.last_updated = new Date().toISOString();
+            updateRunHistoryEntry(task.id, task.run_id, { status: 'cancelled', ended: task.last_updated, excerpt: info.result });
+            if (task._local) saveTaskLocally(task);
+            updateStatistics(computeStatistics());
+            renderTasks();
+            showToast(`⏹️ Run cancelled: ${task.subject}`, 'warning');
+        }
+    } catch (error) {
+        showToast(`Failed to stop task: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Show the floating run console for a run
+ */
+function openRunConsole(runId) {
+    if (!state.runs[runId]) return;
+    state.activeRunId = runId;
+
+    let panel = document.getElementById('runConsole');
+    if (!panel) {
+        panel = document.createElement('aside');
+        panel.id = 'runConsole';
+        panel.className = 'run-console';
+        panel.innerHTML = `
+            <div class="run-console-header">
+                <select id="runConsoleSelect" class="filter-select" onchange="openRunConsole(this.value)"></select>
+                <span class="run-console-status" id="runConsoleStatus"></span>
+                <button class="modal-close" onclick="closeRunConsole()" aria-label="סגור">&times;</button>
+            </div>
+            <pre class="run-console-output" id="runConsoleOutput"></pre>
+        `;
+        document.body.appendChild(panel);
+    }
+
+    panel.classList.add('open');
+    renderRunConsole();
+}
+
+function renderRunConsole() {
+    const run = state.runs[state.activeRunId];
+    if (!run) return;
+
+    const select = document.getElementById('runConsoleSelect');
+    select.innerHTML = Object.values(state.runs).reverse().map(r => `
+        <option value="${escapeHtml(r.runId)}" ${r.runId === run.runId ? 'selected' : ''}>
+            ${r.status === 'running' ? '🔄' : getStatusInfo(r.status).icon} ${escapeHtml(r.subject)}
+        </option>
+    `).join('');
+
+    const statusEl = document.getElementById('runConsoleStatus');
+    statusEl.className = `run-console-status ${run.status}`;
+    statusEl.textContent = run.status === 'running'
+        ? 'רץ...'
+        : `${getStatusInfo(run.status).text}${run.exitCode !== null && run.exitCode !== undefined ? ` (exit ${run.exitCode})` : ''}`;
+
+    const pre = document.getElementById('runConsoleOutput');
+    pre.innerHTML = (run.truncated ? '<span class="run-truncated">… (earlier output truncated)\n</span>' : '') +
+        run.output.map(c => `<span class="run-${c.stream}">${escapeHtml(c.text)}</span>`).join('');
+    pre.scrollTop = pre.scrollHeight;
+}
+
+function closeRunConsole() {
+    document.getElementById('runConsole')?.classList.remove('open');
+    state.activeRunId = null;
+}
+
+// ============================================================
+// DIAGNOSTIC RULES
+// ============================================================
+
+const DIAGNOSTIC_SEVERITIES = ['error', 'warning', 'info'];
+const DIAGNOSTIC_SEVERITY_ICONS = { error: '🔴', warning: '🟠', info: '🔵' };
+
+/**
+ * Rules that explain why a failed task failed. The first rule whose `match`
+ * returns true wins, so specific rules go before broad ones.
+ *
+ * Rule shape:
+ *   id          - unique, stable (stored with health issues)
+ *   issue       - short label shown in health results
+ *   severity    - 'error' | 'warning' | 'info'
+ *   match       - (task, ctx) => boolean; ctx = { result (lower-cased last_result), exitCode, skills }
+ *   suggestion  - string or (task, ctx) => string
+ *   fix         - optional { label, changes: (task, ctx) => task field changes, or null if it can't help }
+ *   examples    - fixture tasks the rule must match (see verifyDiagnosticRules)
+ */
+const DIAGNOSTIC_RULES = [];
+
+function registerDiagnosticRule(rule) {
+    if (!rule || !rule.id || typeof rule.match !== 'function') {
+        throw new Error('Diagnostic rule needs an id and a match function');
+    }
+    if (DIAGNOSTIC_RULES.some(r => r.id === rule.id)) {
+        throw new Error(`Diagnostic rule "${rule.id}" is already registered`);
+    }
+    if (!DIAGNOSTIC_SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Diagnostic rule "${rule.id}" has unknown severity "${rule.severity}"`);
+    }
+    if (rule.fix && typeof rule.fix.changes !== 'function') {
+        throw new Error(`Diagnostic rule "${rule.id}" fix needs a changes function`);
+    }
+    DIAGNOSTIC_RULES.push({ examples: [], ...rule });
+}
+
+registerDiagnosticRule({
+    id: 'claude-not-found',
+    issue: 'Claude path not found',
+    severity: 'error',
+    // The claude command itself is missing - not just any path under ~/.claude
+    match: (task, ctx) => ctx.exitCode === 9009 ||
+        /'claude' is not recognized|spawn claude(\.exe)? enoent|claude:? (command )?not found/.test(ctx.result),
+    suggestion: () => `Use full path: ${CONFIG.claudeExecutable}`,
+    fix: {
+        label: 'Use full Claude path',
+        changes: () => ({ claude_path: CONFIG.claudeExecutable })
+    },
+    examples: [
+        { last_result: "'claude' is not recognized as an internal or external command" },
+        { last_result: 'spawn claude ENOENT' },
+        { last_result: 'bash: claude: command not found' },
+        { last_result: 'failed - claude command not found in PATH' },
+        { last_result: '', exit_code: 9009 }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'working-dir-missing',
+    issue: 'Working directory not found',
+    severity: 'error',
+    match: (task, ctx) => /cannot find the path|chdir|working.?dir|cwd/.test(ctx.result) ||
+        /(directory|folder) .*(does not exist|not found)/.test(ctx.result),
+    suggestion: (task) => `${task.working_dir || 'The working directory'} does not exist - fix the path or use ${CONFIG.defaultWorkingDir}`,
+    fix: {
+        label: 'Use default working directory',
+        changes: () => ({ working_dir: CONFIG.defaultWorkingDir })
+    },
+    examples: [
+        { working_dir: 'D:\\gone', last_result: 'The system cannot find the path specified.' },
+        { working_dir: '/tmp/x', last_result: 'Error: ENOENT: no such file or directory, chdir \'/tmp/x\'' },
+        {
+            working_dir: 'C:\\Users\\user\\.claude\\projects\\gone',
+            last_result: 'Error: ENOENT: no such file or directory, chdir \'C:\\Users\\user\\.claude\\projects\\gone\''
+        },
+        { last_result: 'Working directory D:\\old does not exist' }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'auth-failed',
+    issue: 'Authentication failed',
+    severity: 'error',
+    match: (task, ctx) => /unauthori[sz]ed|\b401\b|authenticat|invalid (api|x-api) key|not logged in|\/login|oauth token/.test(ctx.result),
+    suggestion: 'Run `claude /login` (or check ANTHROPIC_API_KEY) on the machine running the server, then retry',
+    examples: [
+        { last_result: 'API Error: 401 {"type":"error","error":{"type":"authentication_error"}}' },
+        { last_result: 'Invalid API key · Please run /login' }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'rate-limited',
+    issue: 'Rate limited',
+    severity: 'warning',
+    match: (task, ctx) => /rate.?limit|\b429\b|too many requests|overloaded|usage limit/.test(ctx.result),
+    suggestion: 'The API is throttling requests - retry later or spread scheduled tasks apart',
+    examples: [
+        { last_result: 'API Error: 429 rate_limit_error' },
+        { last_result: 'Claude usage limit reached. Your limit will reset at 5pm' },
+        { last_result: 'API Error: 529 Overloaded' }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'timeout',
+    issue: 'Timed out',
+    severity: 'warning',
+    match: (task, ctx) => ctx.exitCode === 124 || /timed? ?out|etimedout|deadline exceeded/.test(ctx.result),
+    suggestion: 'The run took too long - split the task into smaller steps or try a different agent',
+    fix: {
+        label: 'Re-run with another agent',
+        changes: (task) => {
+            const agent = getAlternateAgent(task);
+            return agent ? { assigned_agent: agent } : null;
+        }
+    },
+    examples: [
+        { last_result: 'Task timed out after 30 minutes' },
+        { last_result: 'Error: connect ETIMEDOUT 10.0.0.1:443' },
+        { last_result: '', exit_code: 124 }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'skill-missing',
+    issue: 'Skill not found',
+    severity: 'warning',
+    match: (task, ctx) => /(skill .*not found|unknown skill)/.test(ctx.result) ||
+        Boolean(task.assigned_skill && ctx.skills.length > 0 && !ctx.skills.some(s => s.id === task.assigned_skill)),
+    suggestion: (task) => `Skill "${task.assigned_skill || '?'}" is not installed - install it or unassign it`,
+    fix: {
+        label: 'Unassign skill',
+        changes: () => ({ assigned_skill: null })
+    },
+    examples: [
+        { assigned_skill: 'pdf', last_result: 'Unknown skill: pdf' },
+        { assigned_skill: 'no-such-skill', last_result: 'failed' }
+    ]
+});
+
+registerDiagnosticRule({
+    id: 'permission-denied',
+    issue: 'Permission denied',
+    severity: 'error',
+    match: (task, ctx) => /permission|access is denied|eacces|eperm/.test(ctx.result),
+    suggestion: 'Run as administrator or check file permissions',
+    examples: [
+        { last_result: 'Error: EACCES: permission denied, open \'C:\\Windows\\x\'' },
+        { last_result: 'Access is denied.' }
+    ]
+});
+
+/**
+ * Exit code of the task's last run (from the task or the local run history)
+ */
+function getTaskExitCode(task) {
+    if (task.exit_code !== undefined && task.exit_code !== null) return task.exit_code;
+    return task.id ? getRunHistory(task.id)[0]?.exitCode ?? null : null;
+}
+
+/**
+ * Match a failed task against the rules. Returns a health issue, or null if
+ * there is nothing to go on.
+ */
+function diagnoseTask(task, skills = state.skills) {
+    const exitCode = getTaskExitCode(task);
+    if (!task.last_result && exitCode === null) return null;
+
+    const ctx = { result: (task.last_result || '').toLowerCase(), exitCode, skills };
+    const rule = DIAGNOSTIC_RULES.find(r => {
+        try {
+            return r.match(task, ctx);
+        } catch (error) {
+            console.error(`Diagnostic rule "${r.id}" failed:`, error);
+            return false;
+        }
+    });
+
+    if (!rule) {
+        return {
+            task: task.subject,
+            taskId: task.id,
+            ruleId: 'unknown',
+            issue: 'Unknown error',
+            severity: 'error',
+            suggestion: (task.last_result || `exit code ${exitCode}`).substring(0, 100),
+            fix: null
+        };
+    }
+
+    const changes = rule.fix ? rule.fix.changes(task, ctx) : null;
+    return {
+        task: task.subject,
+        taskId: task.id,
+        ruleId: rule.id,
+        issue: rule.issue,
+        severity: rule.severity,
+        suggestion: typeof rule.suggestion === 'function' ? rule.suggestion(task, ctx) : rule.suggestion,
+        fix: changes ? { label: rule.fix.label, changes } : null
+    };
+}
+
+/**
+ * Check every rule's example tasks still diagnose to that rule
+ * (scripts/verify-diagnostic-rules.js, or from the console).
+ * Returns the mismatches - an empty array means all rules pass.
+ */
+function verifyDiagnosticRules(skills = [{ id: 'browser' }]) {
+    const failures = [];
+    DIAGNOSTIC_RULES.forEach(rule => {
+        rule.examples.forEach(example => {
+            const fixture = { id: null, subject: `${rule.id} fixture`, status: 'failed', ...example };
+            const result = diagnoseTask(fixture, skills);
+            if (result?.ruleId !== rule.id) {
+                failures.push({ rule: rule.id, fixture, got: result?.ruleId || null });
+            }
+        });
+    });
+    return failures;
+}
+
+// ============================================================
+// STUCK TASKS
+// ============================================================
+
+// Ways to resolve a stuck task, by health issue rule id
+const STUCK_TASK_ACTIONS = {
+    reset: { label: '↩️ אפס לממתין', title: 'Reset to pending' },
+    fail: { label: '❌ סמן כנכשל', title: 'Mark failed' },
+    rerun: { label: '▶️ הרץ שוב', title: 'Re-run' },
+    archive: { label: '🗄️ לארכיון', title: 'Archive' }
+};
+
+/**
+ * Get the stuck thresholds: CONFIG defaults with localStorage overrides
+ */
+function getStuckThresholds() {
+    try {
+        const overrides = JSON.parse(localStorage.getItem('stuck_thresholds') || '{}');
+        return { ...CONFIG.stuckThresholds, ...overrides };
+    } catch (error) {
+        console.error('Invalid stuck thresholds:', error);
+        return { ...CONFIG.stuckThresholds };
+    }
+}
+
+/**
+ * Last sign of life of an in-progress task: server heartbeat, run output
+ * seen by this dashboard, or the last task update
+ */
+function getTaskHeartbeat(task) {
+    const run = task.run_id ? state.runs[task.run_id] : null;
+    const times = [task.last_heartbeat, run?.lastOutputAt, run?.started, task.last_run, task.last_updated]
+        .filter(Boolean)
+        .map(t => new Date(t).getTime())
+        .filter(t => !isNaN(t));
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Find in-progress tasks without a heartbeat, scheduled tasks that missed
+ * their next_run and pending tasks nobody touched for days. Returns health issues.
+ */
+function findStuckTasks(tasks = state.tasks, now = Date.now()) {
+    const thresholds = getStuckThresholds();
+    const issues = [];
+    const minutes = (ms) => Math.round(ms / 60000);
+
+    tasks.filter(t => !t.archived).forEach(task => {
+        if (task.status === 'in_progress') {
+            const heartbeat = getTaskHeartbeat(task);
+            const silentFor = heartbeat === null ? Infinity : now - heartbeat;
+            if (silentFor < thresholds.inProgressMinutes * 60000) return;
+
+            issues.push({
+                task: task.subject,
+                taskId: task.id,
+                ruleId: 'stuck-in-progress',
+                severity: 'error',
+                issue: 'No heartbeat',
+                suggestion: heartbeat === null
+                    ? 'In progress with no recorded activity - the run probably died'
+                    : `In progress but silent for ${minutes(silentFor)} minutes - the run probably died`,
+                fix: null,
+                actions: ['reset', 'fail', 'rerun']
+            });
+            return;
+        }
+
+        // Scheduled (whatever the last run's outcome): next_run passed, plus grace for
+        // the scheduler loop, without a run since
+        if (task.schedule && task.next_run) {
+            const due = new Date(task.next_run).getTime();
+            const lastRun = task.last_run ? new Date(task.last_run).getTime() : 0;
+            if (now - due >= thresholds.missedScheduleMinutes * 60000 && lastRun < due) {
+                issues.push({
+                    task: task.subject,
+                    taskId: task.id,
+                    ruleId: 'missed-schedule',
+                    severity: 'warning',
+                    issue: 'Missed scheduled run',
+                    suggestion: `Was due ${formatDate(task.next_run)} but never ran - is the scheduler running?`,
+                    fix: null,
+                    actions: task.status === 'failed' ? ['rerun'] : ['rerun', 'fail']
+                });
+            }
+            return;
+        }
+
+        if (task.status !== 'pending') return;
+
+        // Blocked tasks are waiting on purpose
+        if (getOpenBlockers(task).length > 0) return;
+
+        const activity = Math.max(...[task.last_updated, task.last_run, task.created]
+            .filter(Boolean)
+            .map(t => new Date(t).getTime())
+            .filter(t => !isNaN(t)), 0);
+        const idleDays = Math.floor((now - activity) / 86400000);
+        if (activity > 0 && idleDays >= thresholds.pendingDays) {
+            issues.push({
+                task: task.subject,
+                taskId: task.id,
+                ruleId: 'stale-pending',
+                severity: 'info',
+                issue: 'No activity',
+                suggestion: `Pending for ${idleDays} days without activity - run it, or archive it if it's no longer needed`,
+                fix: null,
+                actions: ['rerun', 'archive']
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Apply a resolve action to the task behind a stuck-task health issue
+ */
+async function resolveStuckTask(issueIndex, action, btn) {
+    const issue = state.healthResults?.issues[issueIndex];
+    if (!issue?.actions?.includes(action)) return;
+
+    const task = state.tasks.find(t => t.id === issue.taskId);
+    if (!task) {
+        showToast('המשימה לא נמצאה', 'error');
+        return;
+    }
+
+    // Once resolved, the issue's buttons are done
+    btn?.closest('.fix-actions')?.querySelectorAll('button').forEach(b => { b.disabled = true; });
+
+    switch (action) {
+        case 'reset':
+            changeTaskStatus(task.id, 'pending');
+            break;
+        case 'fail': {
+            const changes = { last_result: `Marked failed from health check: ${issue.suggestion}` };
+            Object.assign(task, changes);
+            persistTaskChanges(task, changes);
+            changeTaskStatus(task.id, 'failed');
+            break;
+        }
+        case 'rerun':
+            await startTask(task.id);
+            break;
+        case 'archive':
+            archiveTask(task.id, true);
+            break;
+    }
+}
+
+// ============================================================
+// HEALTH CHECK
+// ============================================================
+
+async function runHealthCheck() {
+    if (state.healthCheckRunning) return;
+
+    state.healthCheckRunning = true;
+    const btn = document.getElementById('runHealthCheckBtn');
+    const modal = document.getElementById('healthResultsModal');
+    const resultsBody = document.getElementById('healthResultsBody');
+
+    // Update button state
+    btn.classList.add('loading');
+    btn.innerHTML = '⏳ בודק...';
+
+    // Show modal with loading
+    modal.classList.add('open');
+    resultsBody.innerHTML = `
+        <div class="loading-spinner">
+            <div class="spinner"></div>
+            <span>${serverAvailable ? 'מריץ בדיקת בריאות אמיתית...' : 'מרענן נתונים...'}</span>
+        </div>
+    `;
+
+    try {
+        // If server is available, run actual health check
+        if (serverAvailable) {
+            showToast('Running full health check via local server...', 'info');
+
+            const response = await fetch(getApiUrl('/api/health-check'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                // Show server output
+                resultsBody.innerHTML = `
+                    <div class="health-result-item">
+                        <span class="health-result-label">Status</span>
+                        <span class="health-result-value success">Health check completed!</span>
+                    </div>
+                    <div class="health-fixes-list" style="margin-top: 16px;">
+                        <h4>Server Output:</h4>
+                        <pre style="background: #1E1E1E; color: #D4D4D4; padding: 12px; border-radius: 8px; font-size: 11px; overflow-x: auto; direction: ltr; text-align: left; max-height: 300px; overflow-y: auto;">${escapeHtml(result.output || 'No output')}</pre>
+                    </div>
+                `;
+
+                // Reload tasks to get updated data, then list what's still wrong
+                await loadTasks();
+                const analysis = analyzeTaskHealth();
+                resultsBody.innerHTML += renderHealthResults(analysis);
+                updateHealthBanner(analysis);
+                checkHealthNotifications(analysis);
+                loadHealthLog();
+                showToast('Health check completed!', 'success');
+            } else {
+                throw new Error(result.error || 'Health check failed');
+            }
+        } else {
+            // Fallback: Just refresh data and analyze locally
+            await loadTasks();
+            const results = analyzeTaskHealth();
+            resultsBody.innerHTML = renderHealthResults(results);
+            updateHealthBanner(results);
+            checkHealthNotifications(results);
+            recordLocalHealthRun(results);
+            loadHealthLog();
+
+            resultsBody.innerHTML += `
+                <div class="health-fixes-list" style="margin-top: 16px; background: #FEF3C7;">
+                    <h4>⚠️ Limited Mode</h4>
+                    <p style="font-size: 12px; color: var(--text-secondary);">
+                        Local server is not running. To enable full health checks with task retry:<br>
+                        Run <code>%USERPROFILE%\\.claude\\command-center\\start-server.bat</code>
+                    </p>
+                </div>
+            `;
+
+            showToast('Data refreshed (server offline)', 'warning');
+        }
+    } catch (error) {
+        resultsBody.innerHTML = `
+            <div class="health-result-item">
+                <span class="health-result-label">שגיאה</span>
+                <span class="health-result-value error">${escapeHtml(error.message)}</span>
+            </div>
+            <div class="health-fixes-list" style="margin-top: 16px;">
+                <p style="font-size: 12px; color: var(--text-secondary);">
+                    💡 <strong>טיפ:</strong> Start the local server for full functionality:<br>
+                    <code>%USERPROFILE%\\.claude\\command-center\\start-server.bat</code>
+                </p>
+            </div>
+        `;
+        showToast('Health check error', 'error');
     } finally {
         state.healthCheckRunning = false;
         btn.classList.remove('loading');
@@ -1203,553 +4276,1896 @@ async function runHealthCheck() {
     }
 }
 
-function analyzeTaskHealth() {
-    const tasks = state.tasks;
-    const now = new Date();
+function analyzeTaskHealth() {
+    const tasks = state.tasks;
+    const now = new Date();
+
+    const results = {
+        total: tasks.length,
+        pending: tasks.filter(t => t.status === 'pending').length,
+        in_progress: tasks.filter(t => t.status === 'in_progress').length,
+        completed: tasks.filter(t => t.status === 'completed').length,
+        failed: tasks.filter(t => t.status === 'failed').length,
+        failedTasks: tasks.filter(t => t.status === 'failed'),
+        retryExhausted: tasks.filter(isRetryExhausted),
+        timestamp: now.toISOString(),
+        ...countHealthFixes(),
+        issues: []
+    };
+
+    // Tasks that keep failing need a human, not another retry
+    results.retryExhausted.forEach(task => {
+        results.issues.push({
+            task: task.subject,
+            taskId: task.id,
+            ruleId: 'retry-exhausted',
+            severity: 'error',
+            issue: 'Retries exhausted',
+            suggestion: `Failed after ${task.retry_count} retries - fix the cause and retry manually`
+        });
+    });
+
+    // Analyze failed tasks against the diagnostic rules
+    results.failedTasks.forEach(task => {
+        const issue = diagnoseTask(task);
+        if (issue) results.issues.push(issue);
+    });
+
+    // Runs that died, schedules that were missed, work nobody picked up.
+    // Only the first two are "stuck" (banner, degraded health) - idle backlog is just listed.
+    const stuckIssues = findStuckTasks(tasks, now.getTime());
+    results.stuck = stuckIssues.filter(issue => issue.ruleId !== 'stale-pending');
+    results.issues.push(...stuckIssues);
+
+    return results;
+}
+
+function renderHealthResults(results) {
+    // Fix buttons refer to issues by index
+    state.healthResults = results;
+
+    let html = `
+        <div class="health-result-item">
+            <span class="health-result-label">סה״כ משימות</span>
+            <span class="health-result-value">${results.total}</span>
+        </div>
+        <div class="health-result-item">
+            <span class="health-result-label">ממתינות</span>
+            <span class="health-result-value">${results.pending}</span>
+        </div>
+        <div class="health-result-item">
+            <span class="health-result-label">בביצוע</span>
+            <span class="health-result-value warning">${results.in_progress}</span>
+        </div>
+        <div class="health-result-item">
+            <span class="health-result-label">הושלמו</span>
+            <span class="health-result-value success">${results.completed}</span>
+        </div>
+        <div class="health-result-item">
+            <span class="health-result-label">נכשלו</span>
+            <span class="health-result-value ${results.failed > 0 ? 'error' : ''}">${results.failed}</span>
+        </div>
+        ${results.retryExhausted.length > 0 ? `
+        <div class="health-result-item">
+            <span class="health-result-label">מוצו ניסיונות חוזרים</span>
+            <span class="health-result-value error">${results.retryExhausted.length}</span>
+        </div>
+        ` : ''}
+        ${results.stuck.length > 0 ? `
+        <div class="health-result-item">
+            <span class="health-result-label">תקועות</span>
+            <span class="health-result-value warning">${results.stuck.length}</span>
+        </div>
+        ` : ''}
+        ${results.fixesAttempted > 0 ? `
+        <div class="health-result-item">
+            <span class="health-result-label">תיקונים שהצליחו</span>
+            <span class="health-result-value">${results.fixesSuccessful}/${results.fixesAttempted}</span>
+        </div>
+        ` : ''}
+    `;
+
+    if (results.issues.length > 0) {
+        html += `
+            <div class="health-fixes-list">
+                <h4>⚠️ בעיות שזוהו:</h4>
+                ${results.issues.map((issue, index) => `
+                    <div class="fix-item" title="${escapeHtml(issue.ruleId || '')}">
+                        <span>${DIAGNOSTIC_SEVERITY_ICONS[issue.severity] || '📋'}</span>
+                        <div class="fix-item-text">
+                            <strong>${escapeHtml(issue.task)}</strong><br>
+                            <small>${escapeHtml(issue.issue)}: ${escapeHtml(issue.suggestion)}</small>
+                        </div>
+                        ${issue.fix ? `
+                            <button class="btn btn-small btn-primary" title="${escapeHtml(issue.fix.label)}"
+                                    onclick="fixAndRetry(${index}, this)">🔧 תקן ונסה שוב</button>
+                        ` : ''}
+                        ${issue.actions ? `
+                            <div class="fix-actions">
+                                ${issue.actions.map(action => `
+                                    <button class="btn btn-small btn-secondary" title="${STUCK_TASK_ACTIONS[action].title}"
+                                            onclick="resolveStuckTask(${index}, '${action}', this)">${STUCK_TASK_ACTIONS[action].label}</button>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } else {
+        html += `
+            <div class="health-fixes-list" style="background: #D1FAE5;">
+                <h4>✅ כל המשימות תקינות!</h4>
+            </div>
+        `;
+    }
+
+    html += `
+        <div class="health-result-item" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid #E5E7EB;">
+            <span class="health-result-label">זמן בדיקה</span>
+            <span class="health-result-value">${formatDate(results.timestamp)}</span>
+        </div>
+    `;
+
+    return html;
+}
+
+function updateHealthBanner(results) {
+    const banner = document.getElementById('healthBanner');
+    const status = document.getElementById('healthStatus');
+    const icon = document.querySelector('.health-icon');
+    const lastCheck = document.getElementById('lastCheck');
+
+    lastCheck.textContent = 'עכשיו';
+
+    if (results.failed > 0) {
+        banner.classList.add('warning');
+        banner.classList.remove('error');
+        status.textContent = `${results.failed} נכשלו`;
+        icon.textContent = '⚠️';
+    } else if (results.stuck.length > 0) {
+        banner.classList.add('warning');
+        banner.classList.remove('error');
+        status.textContent = `${results.stuck.length} תקועות`;
+        icon.textContent = '⏳';
+    } else {
+        banner.classList.remove('warning', 'error');
+        status.textContent = 'תקין';
+        icon.textContent = '✅';
+    }
+}
+
+// ============================================================
+// AUTO-REMEDIATION
+// ============================================================
+
+/**
+ * Another agent to re-run a task with (prefers general-purpose), or null
+ */
+function getAlternateAgent(task) {
+    const others = state.agents.map(a => a.id).filter(id => id !== task.assigned_agent);
+    return others.includes('general-purpose') ? 'general-purpose' : others[0] || null;
+}
+
+function loadHealthFixes() {
+    try {
+        return JSON.parse(localStorage.getItem('health_fixes') || '[]');
+    } catch (error) {
+        console.error('Failed to read health fixes:', error);
+        return [];
+    }
+}
+
+function storeHealthFixes(fixes) {
+    try {
+        localStorage.setItem('health_fixes', JSON.stringify(fixes.slice(0, CONFIG.healthHistoryLimit)));
+    } catch (error) {
+        console.error('Failed to save health fixes:', error);
+    }
+}
+
+/**
+ * Fixes attempted since the last logged health run, and how many of their re-runs completed
+ */
+function countHealthFixes() {
+    const since = state.healthLog[0]?.timestamp ? new Date(state.healthLog[0].timestamp).getTime() : 0;
+    const fixes = loadHealthFixes().filter(f => new Date(f.attempted_at).getTime() > since);
+    return {
+        fixesAttempted: fixes.length,
+        fixesSuccessful: fixes.filter(f => f.success === true).length
+    };
+}
+
+/**
+ * Apply a health issue's fix to its task and re-run it
+ */
+async function fixAndRetry(issueIndex, btn) {
+    const issue = state.healthResults?.issues[issueIndex];
+    if (!issue?.fix) return;
+
+    const task = state.tasks.find(t => t.id === issue.taskId);
+    if (!task) {
+        showToast('המשימה לא נמצאה', 'error');
+        return;
+    }
+
+    if (btn) {
+        btn.disabled = true;
+        btn.textContent = '⏳';
+    }
+
+    Object.assign(task, issue.fix.changes);
+    persistTaskChanges(task, issue.fix.changes);
+    showToast(`🔧 ${issue.fix.label}: ${task.subject}`, 'info');
+
+    const result = await retryTask(task.id);
+
+    const fixes = loadHealthFixes();
+    fixes.unshift({
+        taskId: task.id,
+        ruleId: issue.ruleId,
+        changes: issue.fix.changes,
+        runId: result?.runId || null,
+        attempted_at: new Date().toISOString(),
+        // Settled when the run exits (see finishRun); a run that never started failed already
+        success: result ? null : false
+    });
+    storeHealthFixes(fixes);
+
+    if (btn) btn.textContent = result ? '✅' : '❌';
+}
+
+/**
+ * Mark the fix behind a finished run as successful or not
+ */
+function settleHealthFix(runId, success) {
+    if (!runId) return;
+    const fixes = loadHealthFixes();
+    const fix = fixes.find(f => f.runId === runId && f.success === null);
+    if (!fix) return;
+
+    fix.success = success;
+    storeHealthFixes(fixes);
+}
+
+// ============================================================
+// HEALTH HISTORY
+// ============================================================
+
+// Series drawn in the trend chart
+const HEALTH_TREND_SERIES = [
+    { key: 'failed', label: 'נכשלו', color: 'var(--danger-color)' },
+    { key: 'pending', label: 'ממתינות', color: 'var(--warning-color)' },
+    { key: 'completed', label: 'הושלמו', color: 'var(--success-color)' }
+];
+
+/**
+ * Fetch a page of health runs (newest first) from the server's health-log.jsonl.
+ * Falls back to the runs recorded in this browser while the server is offline.
+ * Returns { entries, total }.
+ */
+async function fetchHealthLog(offset = 0, limit = CONFIG.healthLogPageSize) {
+    if (serverAvailable) {
+        try {
+            const response = await fetch(getApiUrl(`/api/health-log?offset=${offset}&limit=${limit}`));
+            const result = await response.json();
+            if (result.success) {
+                return { entries: result.entries || [], total: result.total ?? (result.entries || []).length };
+            }
+            console.warn('Server rejected health log request:', result.error);
+        } catch (error) {
+            console.error('Failed to load health log:', error);
+        }
+    }
+
+    const local = getLocalHealthHistory();
+    return { entries: local.slice(offset, offset + limit), total: local.length };
+}
+
+function getLocalHealthHistory() {
+    try {
+        return JSON.parse(localStorage.getItem('health_history') || '[]');
+    } catch (error) {
+        console.error('Failed to read health history:', error);
+        return [];
+    }
+}
+
+/**
+ * Remember a health run done without the server (the server logs its own runs)
+ */
+function recordLocalHealthRun(results) {
+    try {
+        const history = getLocalHealthHistory();
+        history.unshift(toHealthLogEntry(results));
+        localStorage.setItem('health_history', JSON.stringify(history.slice(0, CONFIG.healthHistoryLimit)));
+    } catch (error) {
+        console.error('Failed to save health history:', error);
+    }
+}
+
+/**
+ * Health log line shape (same as the server's health-log.jsonl)
+ */
+function toHealthLogEntry(results) {
+    return {
+        timestamp: results.timestamp,
+        total: results.total,
+        pending: results.pending,
+        in_progress: results.in_progress,
+        completed: results.completed,
+        failed: results.failed,
+        fixesAttempted: results.fixesAttempted,
+        fixesSuccessful: results.fixesSuccessful,
+        issues: (results.issues || []).length,
+        source: 'dashboard'
+    };
+}
+
+/**
+ * Refresh the latest runs in the #healthLog section
+ */
+async function loadHealthLog() {
+    const { entries } = await fetchHealthLog(0, CONFIG.healthLogPageSize);
+    state.healthLog = entries;
+    renderHealthLog();
+}
+
+function renderHealthLog() {
+    const container = document.getElementById('healthLog');
+    if (!container) return;
+
+    if (state.healthLog.length === 0) {
+        container.innerHTML = '<p class="health-log-empty">אין עדיין בדיקות בריאות</p>';
+        return;
+    }
+
+    container.innerHTML = state.healthLog.slice(0, 10).map(entry => renderHealthLogEntry(entry)).join('');
+}
+
+function renderHealthLogEntry(entry) {
+    const ok = !entry.failed;
+    return `
+        <div class="health-entry">
+            <span class="health-time" title="${formatDate(entry.timestamp)}">${formatRelativeTime(entry.timestamp)}</span>
+            <span class="health-message">
+                ❌ ${entry.failed || 0} · ⏳ ${entry.pending || 0} · ✅ ${entry.completed || 0}
+                ${entry.fixesAttempted ? ` · 🔧 ${entry.fixesSuccessful || 0}/${entry.fixesAttempted}` : ''}
+            </span>
+            <span class="health-result ${ok ? 'ok' : 'fail'}">${ok ? 'תקין' : `${entry.failed} נכשלו`}</span>
+        </div>
+    `;
+}
+
+/**
+ * View all health log entries: trend chart plus paginated history
+ */
+async function viewAllHealthLogs(page = 0) {
+    const modal = document.getElementById('healthResultsModal');
+    const resultsBody = document.getElementById('healthResultsBody');
+
+    modal.classList.add('open');
+    resultsBody.innerHTML = `
+        <div class="loading-spinner">
+            <div class="spinner"></div>
+            <span>טוען היסטוריה...</span>
+        </div>
+    `;
+
+    const pageSize = CONFIG.healthLogPageSize;
+    const [trend, history] = await Promise.all([
+        fetchHealthLog(0, CONFIG.healthTrendPoints),
+        fetchHealthLog(page * pageSize, pageSize)
+    ]);
+    const pages = Math.max(1, Math.ceil(history.total / pageSize));
+
+    if (history.total === 0) {
+        resultsBody.innerHTML = `
+            <div class="health-fixes-list">
+                <h4>📊 היסטוריית בדיקות בריאות</h4>
+                <p style="color: var(--text-secondary); font-size: 12px;">
+                    אין עדיין בדיקות שמורות. בדיקות בריאות מתבצעות אוטומטית כל 10 דקות.
+                </p>
+            </div>
+        `;
+        return;
+    }
+
+    resultsBody.innerHTML = `
+        <div class="health-fixes-list">
+            <h4>📈 מגמה (${trend.entries.length} בדיקות אחרונות)</h4>
+            ${renderHealthTrendChart(trend.entries)}
+        </div>
+        <div class="health-fixes-list">
+            <h4>📊 היסטוריית בדיקות בריאות</h4>
+            ${history.entries.map(entry => renderHealthLogEntry(entry)).join('')}
+        </div>
+        <div class="health-history-pager">
+            <button class="btn btn-small btn-secondary" ${page === 0 ? 'disabled' : ''} onclick="viewAllHealthLogs(${page - 1})">→ חדשות יותר</button>
+            <span>עמוד ${page + 1} מתוך ${pages}</span>
+            <button class="btn btn-small btn-secondary" ${page >= pages - 1 ? 'disabled' : ''} onclick="viewAllHealthLogs(${page + 1})">ישנות יותר ←</button>
+        </div>
+    `;
+}
+
+/**
+ * SVG line chart of failed/pending/completed counts over time (oldest on the left)
+ */
+function renderHealthTrendChart(entries) {
+    const points = entries.filter(e => e.timestamp).slice().reverse();
+    if (points.length < 2) {
+        return '<p class="health-log-empty">צריך לפחות שתי בדיקות כדי להציג מגמה</p>';
+    }
+
+    const W = 460, H = 160, PAD = 24;
+    const times = points.map(p => new Date(p.timestamp).getTime());
+    const minTime = Math.min(...times);
+    const span = (Math.max(...times) - minTime) || 1;
+    const maxValue = Math.max(1, ...points.flatMap(p => HEALTH_TREND_SERIES.map(s => p[s.key] || 0)));
+
+    const x = (time) => PAD + ((time - minTime) / span) * (W - PAD * 2);
+    const y = (value) => H - PAD - (value / maxValue) * (H - PAD * 2);
+
+    const lines = HEALTH_TREND_SERIES.map(series => {
+        const coords = points.map((p, i) => `${x(times[i]).toFixed(1)},${y(p[series.key] || 0).toFixed(1)}`).join(' ');
+        return `<polyline points="${coords}" fill="none" stroke="${series.color}" stroke-width="2"><title>${series.label}</title></polyline>`;
+    }).join('');
+
+    return `
+        <svg class="health-trend-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="מגמת בדיקות בריאות">
+            <line x1="${PAD}" y1="${H - PAD}" x2="${W - PAD}" y2="${H - PAD}" class="chart-axis"/>
+            <line x1="${PAD}" y1="${PAD}" x2="${PAD}" y2="${H - PAD}" class="chart-axis"/>
+            <text x="${PAD - 4}" y="${PAD + 4}" class="chart-label" text-anchor="end">${maxValue}</text>
+            <text x="${PAD - 4}" y="${H - PAD}" class="chart-label" text-anchor="end">0</text>
+            ${lines}
+        </svg>
+        <div class="health-trend-legend">
+            <span>${formatDate(points[0].timestamp)}</span>
+            ${HEALTH_TREND_SERIES.map(s => `<span><i style="background: ${s.color}"></i>${s.label}</span>`).join('')}
+            <span>${formatDate(points[points.length - 1].timestamp)}</span>
+        </div>
+    `;
+}
+
+// ============================================================
+// QUICK FIX
+// ============================================================
+
+async function submitQuickFix() {
+    const input = document.getElementById('quickFixInput');
+    const agentEl = document.getElementById('quickFixAgent');
+
+    if (!input || !agentEl) {
+        showToast('Form elements not found', 'error');
+        return;
+    }
+
+    const agent = agentEl.value;
+    const prompt = input.value.trim();
+
+    if (!prompt) {
+        showToast('נא להזין תיאור משימה', 'warning');
+        return;
+    }
+
+    // Add to recent fixes
+    state.recentFixes.unshift({
+        prompt: prompt.substring(0, 50),
+        timestamp: new Date().toISOString()
+    });
+
+    // Keep only last 5
+    state.recentFixes = state.recentFixes.slice(0, 5);
+    renderRecentFixes();
+
+    // If server is available, execute immediately
+    if (serverAvailable) {
+        try {
+            showToast('Executing quick fix...', 'info');
+
+            const response = await fetch(getApiUrl('/api/quick-fix'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    task: prompt,
+                    workingDir: CONFIG.defaultWorkingDir,
+                    skill: null,
+                    agent: agent || null
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                showToast(`Quick fix started! ID: ${result.fixId}`, 'success');
+                input.value = '';
+
+                recordQuickFixRun(prompt, agent, result);
+            } else {
+                throw new Error(result.error || 'Quick fix failed');
+            }
+        } catch (error) {
+            showToast(`Error: ${error.message}`, 'error');
+        }
+    } else {
+        // Save to localStorage for sync (with error handling)
+        try {
+            const pendingFixes = JSON.parse(localStorage.getItem('pending_quick_fixes') || '[]');
+            pendingFixes.push({
+                id: `qf_${Date.now()}`,
+                prompt,
+                agent,
+                created: new Date().toISOString()
+            });
+            localStorage.setItem('pending_quick_fixes', JSON.stringify(pendingFixes));
+        } catch (error) {
+            console.error('Failed to save quick fix:', error);
+        }
+        updateSyncBadge();
+
+        showToast('Server offline - Task saved for next sync', 'warning');
+        input.value = '';
+    }
+}
+
+/**
+ * Add a quick fix the server accepted to the run history, and follow it if it streams
+ */
+function recordQuickFixRun(prompt, agent, result) {
+    const runId = result.runId || result.fixId || null;
+    addRunHistoryEntry(QUICK_FIX_HISTORY_ID, {
+        kind: 'quick-fix',
+        runId,
+        started: new Date().toISOString(),
+        status: 'running',
+        agent: agent || null,
+        skill: null,
+        excerpt: prompt.substring(0, 300)
+    });
+
+    // Quick fixes that report a runId stream like regular runs; otherwise
+    // the response is all we'll hear about it
+    if (result.runId) {
+        watchRun(result.runId, { id: QUICK_FIX_HISTORY_ID, subject: `⚡ ${prompt.substring(0, 40)}` });
+    } else {
+        const exitCode = result.exitCode ?? null;
+        updateRunHistoryEntry(QUICK_FIX_HISTORY_ID, runId, {
+            status: result.status || (exitCode === null ? 'sent' : exitCode === 0 ? 'completed' : 'failed'),
+            exitCode,
+            ended: exitCode === null ? null : new Date().toISOString(),
+            excerpt: (result.output || prompt).slice(-300)
+        });
+    }
+    renderQuickFixHistory();
+}
+
+function renderRecentFixes() {
+    const container = document.getElementById('recentFixes');
+    if (!container) return;
+
+    // Create local copy to prevent race conditions
+    const fixes = [...state.recentFixes];
+
+    container.innerHTML = fixes.map(fix => {
+        const prompt = fix.prompt || '';
+        return `
+            <li title="${escapeHtml(prompt)}">
+                ${escapeHtml(prompt)}${prompt ? '...' : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+// ============================================================
+// SKILLS
+// ============================================================
+
+async function loadSkills() {
+    try {
+        const response = await fetch('data/skills.json');
+        if (response.ok) {
+            const data = await response.json();
+            state.skills = data.skills.map(s => ({
+                id: s.id,
+                name: s.title || s.id,
+                description: s.description,
+                triggers: s.triggers || [],
+                categories: s.categories || []
+            }));
+            console.log(`Loaded ${state.skills.length} skills`);
+        } else {
+            throw new Error('Skills data not found');
+        }
+    } catch (error) {
+        console.log('Loading sample skills:', error.message);
+        // Fallback to sample data
+        state.skills = [
+            { id: 'calendar', name: 'Calendar', description: 'תזמון אירועים' },
+            { id: 'whatsapp', name: 'WhatsApp', description: 'שליחת הודעות' },
+            { id: 'browser', name: 'Browser', description: 'אוטומציה בדפדפן' },
+            { id: 'r-analysis', name: 'R Analysis', description: 'ניתוח סטטיסטי' },
+            { id: 'schedule-task', name: 'Schedule Task', description: 'תזמון משימות' }
+        ];
+    }
+
+    renderSkills();
+}
+
+function renderSkills() {
+    const container = document.getElementById('skillsList');
+    const countEl = document.getElementById('skillsCount');
+
+    if (countEl) countEl.textContent = state.skills.length;
+
+    if (!container) return;
+
+    container.innerHTML = state.skills.slice(0, 20).map(skill => `
+        <li draggable="true"
+            data-skill-id="${escapeHtml(skill.id)}"
+            onclick="selectSkill('${escapeHtml(skill.id)}')"
+            title="גרור למשימה להקצאה&#10;${escapeHtml(skill.description || '')}">
+            <span class="skill-name">⚡ ${escapeHtml(skill.name)}</span>
+            <span class="skill-desc">${escapeHtml((skill.description || '').substring(0, 30))}</span>
+        </li>
+    `).join('');
+
+    // Setup drag events after rendering
+    setupSkillAgentDragAndDrop();
+}
+
+function selectSkill(skillId) {
+    const skill = state.skills.find(s => s.id === skillId);
+    if (skill) {
+        showToast(`כישור נבחר: ${skill.name}`, 'info');
+    }
+}
+
+// ============================================================
+// AGENTS
+// ============================================================
+
+async function loadAgents() {
+    try {
+        const response = await fetch('data/agents.json');
+        if (response.ok) {
+            const data = await response.json();
+            state.agents = data.available || [];
+            console.log(`Loaded ${state.agents.length} agents`);
+        } else {
+            throw new Error('Agents data not found');
+        }
+    } catch (error) {
+        console.log('Loading sample agents:', error.message);
+        // Fallback to sample data
+        state.agents = [
+            { id: 'Explore', name: 'Explore', icon: '🔍', description: 'חיפוש בקוד' },
+            { id: 'Plan', name: 'Plan', icon: '📋', description: 'תכנון פתרונות' },
+            { id: 'Browser', name: 'Browser', icon: '🌐', description: 'אוטומציה בדפדפן' }
+        ];
+    }
+
+    renderAgents();
+}
+
+function renderAgents() {
+    const container = document.getElementById('agentsList');
+    if (!container) return;
+
+    container.innerHTML = state.agents.map(agent => `
+        <div class="agent-card"
+             draggable="true"
+             data-agent-id="${escapeHtml(agent.id)}"
+             onclick="launchAgent('${escapeHtml(agent.id)}')"
+             title="גרור למשימה להקצאה">
+            <span class="agent-icon">${agent.icon || '🤖'}</span>
+            <div class="agent-info">
+                <span class="agent-name">${escapeHtml(agent.name)}</span>
+                <span class="agent-desc">${escapeHtml(agent.description_he || agent.description || '')}</span>
+            </div>
+            <span class="agent-status idle">פנוי</span>
+        </div>
+    `).join('');
+
+    // Setup drag events after rendering
+    setupSkillAgentDragAndDrop();
+}
+
+function launchAgent(agentId) {
+    const agent = state.agents.find(a => a.id === agentId);
+    if (agent) {
+        showToast(`משיק ${agent.icon} ${agent.name}...`, 'info');
+        // In a real implementation, this would trigger the agent
+    }
+}
+
+function createSkill() {
+    const desc = document.getElementById('skillDescription').value.trim();
+    if (!desc) {
+        showToast('נא להזין תיאור כישור', 'warning');
+        return;
+    }
+
+    // Queue the skill request (with error handling)
+    try {
+        const pendingRequests = JSON.parse(localStorage.getItem('pending_skill_requests') || '[]');
+        pendingRequests.push({
+            id: `sr_${Date.now()}`,
+            description: desc,
+            created: new Date().toISOString(),
+            status: 'pending'
+        });
+        localStorage.setItem('pending_skill_requests', JSON.stringify(pendingRequests));
+        updateSyncBadge();
+        flushSyncQueues();
+
+        showToast(`כישור "${desc.substring(0, 30)}..." נשמר ליצירה`, 'success');
+        document.getElementById('skillDescription').value = '';
+
+        // Show the pending request in a toast
+        setTimeout(() => {
+            showToast('הכישור ייווצר בסנכרון הבא עם Claude', 'info');
+        }, 1000);
+    } catch (error) {
+        console.error('Failed to save skill request:', error);
+        showToast('Failed to save skill request', 'error');
+    }
+}
+
+// ============================================================
+// MODAL
+// ============================================================
+
+function openModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) {
+        modal.classList.add('open');
+
+        // Populate skills dropdown when opening new task modal
+        if (modalId === 'newTaskModal') {
+            populateSkillsDropdown();
+
+            // Leaving edit mode - don't show the edited task's values as a new task
+            if (state.editingTaskId) {
+                state.editingTaskId = null;
+                resetTaskForm();
+            }
+            setTaskModalMode('new');
+        }
+    }
+}
+
+function closeModal(modalId) {
+    const modal = document.getElementById(modalId);
+    if (modal) modal.classList.remove('open');
+}
+
+/**
+ * Populate skills dropdown in the new task modal
+ */
+function populateSkillsDropdown() {
+    const select = document.getElementById('newTaskSkill');
+    if (!select) return;
+
+    // Keep the first "none" option
+    select.innerHTML = '<option value="">ללא</option>';
+
+    // Add all skills
+    state.skills.forEach(skill => {
+        const option = document.createElement('option');
+        option.value = skill.id;
+        option.textContent = `${skill.name} - ${(skill.description || '').substring(0, 30)}`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Read and validate the task form (shared by new task and edit task)
+ * Returns null if validation failed
+ */
+function readTaskForm() {
+    // Get form elements with null checks
+    const titleEl = document.getElementById('newTaskTitle');
+    const descEl = document.getElementById('newTaskDescription');
+    const workingDirEl = document.getElementById('newTaskWorkingDir');
+    const agentEl = document.getElementById('newTaskAgent');
+    const skillEl = document.getElementById('newTaskSkill');
+    const scheduleTimeEl = document.getElementById('scheduleTime');
+
+    if (!titleEl) {
+        showToast('Form not found', 'error');
+        return null;
+    }
+
+    const title = titleEl.value.trim();
+    const description = descEl ? descEl.value.trim() : '';
+    const workingDir = workingDirEl ? workingDirEl.value.trim() : '';
+    const agent = agentEl ? agentEl.value : '';
+    const skill = skillEl ? skillEl.value : '';
+    const scheduleType = document.querySelector('input[name="schedule"]:checked')?.value || 'now';
+    const scheduleTime = scheduleTimeEl ? scheduleTimeEl.value : '';
+
+    if (!title) {
+        showToast('Please enter a task title', 'warning');
+        return null;
+    }
+
+    if (!workingDir) {
+        showToast('Working directory is required!', 'warning');
+        if (workingDirEl) workingDirEl.focus();
+        return null;
+    }
+
+    let schedule = null;
+    if (scheduleType === 'later' && scheduleTime) {
+        schedule = { type: 'once', time: scheduleTime };
+    } else if (scheduleType === 'recurring') {
+        schedule = readRecurringSchedule();
+        if (!schedule) return null;
+    }
+
+    return { title, description, workingDir, agent, skill, schedule };
+}
+
+/**
+ * Build a recurring schedule from the schedule builder
+ * Returns null (with a toast) if the input is invalid
+ */
+function readRecurringSchedule() {
+    const type = document.getElementById('recurrenceType')?.value;
+    const time = document.getElementById('recurrenceTime')?.value || '';
+    let schedule;
+
+    switch (type) {
+        case 'interval': {
+            const every = parseInt(document.getElementById('recurrenceEvery')?.value, 10);
+            if (!(every >= 1)) {
+                showToast('Interval must be at least 1', 'warning');
+                return null;
+            }
+            schedule = {
+                type,
+                every,
+                unit: document.getElementById('recurrenceUnit')?.value === 'hours' ? 'hours' : 'minutes',
+                start: new Date().toISOString()
+            };
+            break;
+        }
 
-    const results = {
-        total: tasks.length,
-        pending: tasks.filter(t => t.status === 'pending').length,
-        in_progress: tasks.filter(t => t.status === 'in_progress').length,
-        completed: tasks.filter(t => t.status === 'completed').length,
-        failed: tasks.filter(t => t.status === 'failed').length,
-        failedTasks: tasks.filter(t => t.status === 'failed'),
-        timestamp: now.toISOString(),
-        fixesAttempted: 0,
-        fixesSuccessful: 0,
-        issues: []
-    };
+        case 'daily':
+        case 'weekdays': {
+            if (!time) {
+                showToast('Please pick a time', 'warning');
+                return null;
+            }
+            schedule = { type, time };
+            if (type === 'weekdays') {
+                schedule.days = [...document.querySelectorAll('input[name="recurrenceDays"]:checked')]
+                    .map(el => parseInt(el.value, 10));
+                if (schedule.days.length === 0) {
+                    showToast('Please pick at least one day', 'warning');
+                    return null;
+                }
+            }
+            break;
+        }
 
-    // Analyze failed tasks
-    results.failedTasks.forEach(task => {
-        if (task.last_result) {
-            // Check for known patterns
-            if (task.last_result.includes('claude') && task.last_result.includes('not')) {
-                results.issues.push({
-                    task: task.subject,
-                    issue: 'Claude path not found',
-                    suggestion: 'Use full path: C:\\Users\\user\\.local\\bin\\claude.exe'
-                });
-            } else if (task.last_result.includes('permission')) {
-                results.issues.push({
-                    task: task.subject,
-                    issue: 'Permission denied',
-                    suggestion: 'Run as administrator or check file permissions'
-                });
-            } else {
-                results.issues.push({
-                    task: task.subject,
-                    issue: 'Unknown error',
-                    suggestion: task.last_result.substring(0, 100)
-                });
+        case 'cron': {
+            const expression = document.getElementById('recurrenceCron')?.value.trim() || '';
+            if (!parseCron(expression)) {
+                showToast('Invalid cron expression (minute hour day month weekday)', 'warning');
+                return null;
             }
+            schedule = { type, expression };
+            break;
         }
+
+        default:
+            showToast('Please pick a recurrence', 'warning');
+            return null;
+    }
+
+    return schedule;
+}
+
+/**
+ * Show only the builder fields relevant to the schedule choice, plus a next-run preview
+ */
+function updateScheduleBuilder() {
+    const scheduleType = document.querySelector('input[name="schedule"]:checked')?.value || 'now';
+    const recurrenceType = document.getElementById('recurrenceType')?.value;
+
+    document.getElementById('scheduleTime')?.classList.toggle('hidden', scheduleType !== 'later');
+    document.getElementById('recurrenceOptions')?.classList.toggle('hidden', scheduleType !== 'recurring');
+    document.querySelectorAll('[data-recurrence]').forEach(el => {
+        el.classList.toggle('hidden', !el.dataset.recurrence.split(' ').includes(recurrenceType));
     });
 
-    return results;
+    const preview = document.getElementById('recurrencePreview');
+    if (preview && scheduleType === 'recurring') {
+        const schedule = previewRecurringSchedule();
+        const nextRun = schedule ? getNextRun(schedule) : null;
+        preview.textContent = nextRun ? `הרצה הבאה: ${formatDate(nextRun.toISOString())}` : '';
+    }
 }
 
-function renderHealthResults(results) {
-    let html = `
-        <div class="health-result-item">
-            <span class="health-result-label">סה״כ משימות</span>
-            <span class="health-result-value">${results.total}</span>
-        </div>
-        <div class="health-result-item">
-            <span class="health-result-label">ממתינות</span>
-            <span class="health-result-value">${results.pending}</span>
-        </div>
-        <div class="health-result-item">
-            <span class="health-result-label">בביצוע</span>
-            <span class="health-result-value warning">${results.in_progress}</span>
-        </div>
-        <div class="health-result-item">
-            <span class="health-result-label">הושלמו</span>
-            <span class="health-result-value success">${results.completed}</span>
-        </div>
-        <div class="health-result-item">
-            <span class="health-result-label">נכשלו</span>
-            <span class="health-result-value ${results.failed > 0 ? 'error' : ''}">${results.failed}</span>
-        </div>
-    `;
+/**
+ * Same as readRecurringSchedule but silent - for the live preview
+ */
+function previewRecurringSchedule() {
+    const type = document.getElementById('recurrenceType')?.value;
+    const time = document.getElementById('recurrenceTime')?.value;
+    switch (type) {
+        case 'interval':
+            return {
+                type,
+                every: parseInt(document.getElementById('recurrenceEvery')?.value, 10),
+                unit: document.getElementById('recurrenceUnit')?.value
+            };
+        case 'daily':
+            return time ? { type, time } : null;
+        case 'weekdays':
+            return time ? {
+                type,
+                time,
+                days: [...document.querySelectorAll('input[name="recurrenceDays"]:checked')].map(el => parseInt(el.value, 10))
+            } : null;
+        case 'cron':
+            return { type, expression: document.getElementById('recurrenceCron')?.value };
+    }
+    return null;
+}
 
-    if (results.issues.length > 0) {
-        html += `
-            <div class="health-fixes-list">
-                <h4>⚠️ בעיות שזוהו:</h4>
-                ${results.issues.map(issue => `
-                    <div class="fix-item">
-                        <span>📋</span>
-                        <div>
-                            <strong>${escapeHtml(issue.task)}</strong><br>
-                            <small>${escapeHtml(issue.issue)}: ${escapeHtml(issue.suggestion)}</small>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
-    } else {
-        html += `
-            <div class="health-fixes-list" style="background: #D1FAE5;">
-                <h4>✅ כל המשימות תקינות!</h4>
-            </div>
-        `;
+/**
+ * Load a schedule into the schedule builder (edit mode)
+ */
+function fillScheduleBuilder(schedule) {
+    const mode = !schedule ? 'now' : schedule.type === 'once' ? 'later' : 'recurring';
+    const radio = document.querySelector(`input[name="schedule"][value="${mode}"]`);
+    if (radio) radio.checked = true;
+
+    document.getElementById('scheduleTime').value = mode === 'later' ? (schedule.time || '').substring(0, 16) : '';
+
+    if (mode === 'recurring') {
+        document.getElementById('recurrenceType').value = schedule.type;
+        if (schedule.every) document.getElementById('recurrenceEvery').value = schedule.every;
+        if (schedule.unit) document.getElementById('recurrenceUnit').value = schedule.unit;
+        if (schedule.time) document.getElementById('recurrenceTime').value = schedule.time;
+        if (schedule.expression) document.getElementById('recurrenceCron').value = schedule.expression;
+        if (schedule.days) {
+            document.querySelectorAll('input[name="recurrenceDays"]').forEach(el => {
+                el.checked = schedule.days.includes(parseInt(el.value, 10));
+            });
+        }
     }
 
-    html += `
-        <div class="health-result-item" style="margin-top: 16px; padding-top: 16px; border-top: 1px solid #E5E7EB;">
-            <span class="health-result-label">זמן בדיקה</span>
-            <span class="health-result-value">${formatDate(results.timestamp)}</span>
-        </div>
-    `;
+    updateScheduleBuilder();
+}
 
-    return html;
+/**
+ * Clear the task form back to its defaults
+ */
+function resetTaskForm() {
+    ['newTaskTitle', 'newTaskDescription', 'newTaskWorkingDir', 'newTaskAgent', 'newTaskSkill'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
+    const nowRadio = document.querySelector('input[name="schedule"][value="now"]');
+    if (nowRadio) nowRadio.checked = true;
+    const scheduleTimeEl = document.getElementById('scheduleTime');
+    if (scheduleTimeEl) scheduleTimeEl.value = '';
+    const recurrenceTypeEl = document.getElementById('recurrenceType');
+    if (recurrenceTypeEl) recurrenceTypeEl.value = 'daily';
+    const recurrenceCronEl = document.getElementById('recurrenceCron');
+    if (recurrenceCronEl) recurrenceCronEl.value = '';
+    updateScheduleBuilder();
 }
 
-function updateHealthBanner(results) {
-    const banner = document.getElementById('healthBanner');
-    const status = document.getElementById('healthStatus');
-    const icon = document.querySelector('.health-icon');
-    const lastCheck = document.getElementById('lastCheck');
+/**
+ * Switch the task modal between "new task" and "edit task" labels
+ */
+function setTaskModalMode(mode) {
+    const title = document.getElementById('newTaskModalTitle');
+    const saveBtn = document.getElementById('saveNewTask');
+    if (title) title.textContent = mode === 'edit' ? 'עריכת משימה' : 'משימה חדשה';
+    if (saveBtn) saveBtn.textContent = mode === 'edit' ? 'שמור שינויים' : 'שמור משימה';
+}
 
-    lastCheck.textContent = 'עכשיו';
+/**
+ * Save new task
+ */
+async function saveNewTask() {
+    const form = readTaskForm();
+    if (!form) return;
 
-    if (results.failed > 0) {
-        banner.classList.add('warning');
-        banner.classList.remove('error');
-        status.textContent = `${results.failed} נכשלו`;
-        icon.textContent = '⚠️';
+    // Create task object
+    const newTask = {
+        id: `local_${Date.now()}`,
+        source: form.schedule ? 'scheduled' : 'session',
+        type: 'task',
+        subject: form.title,
+        description: form.description,
+        working_dir: form.workingDir,
+        status: 'pending',
+        created: new Date().toISOString(),
+        last_updated: new Date().toISOString(),
+        assigned_skill: form.skill || null,
+        assigned_agent: form.agent || null,
+        project: 'Local Tasks',
+        project_name: 'Local Tasks',
+        _local: true,
+        _pendingSync: true
+    };
+
+    // Handle scheduling
+    if (form.schedule) {
+        newTask.schedule = form.schedule;
+        newTask.next_run = getNextRun(form.schedule)?.toISOString() || null;
+    }
+
+    // Straight to the server when it's up - the task shows on every machine
+    const serverTask = await createTaskOnServer(newTask);
+    if (serverTask) {
+        state.serverSnapshot.unshift(JSON.parse(JSON.stringify(serverTask)));
+        state.tasks.unshift(serverTask);
     } else {
-        banner.classList.remove('warning', 'error');
-        status.textContent = 'תקין';
-        icon.textContent = '✅';
+        // Save to localStorage until the server is back
+        saveTaskLocally(newTask);
+        state.tasks.unshift(newTask);
     }
+
+    // Update statistics
+    updateStatistics(computeStatistics());
+
+    renderTasks();
+
+    // Clear form and close modal
+    resetTaskForm();
+
+    closeModal('newTaskModal');
+    showToast(serverTask ? 'Task created successfully!' : 'Task saved locally - will sync when the server is back', 'success');
 }
 
 // ============================================================
-// QUICK FIX
+// BULK SELECTION & ACTIONS
 // ============================================================
 
-async function submitQuickFix() {
-    const input = document.getElementById('quickFixInput');
-    const agentEl = document.getElementById('quickFixAgent');
+/**
+ * Card click: shift-click selects a range, ctrl/cmd-click toggles, a plain click
+ * opens the details
+ */
+function handleTaskCardClick(e, taskId) {
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        toggleTaskSelection(taskId, e);
+        return;
+    }
+    openTaskDetails(taskId);
+}
 
-    if (!input || !agentEl) {
-        showToast('Form elements not found', 'error');
+function toggleTaskSelection(taskId, e = {}) {
+    const selected = state.selectedTaskIds;
+
+    if (e.shiftKey && state.lastSelectedTaskId) {
+        // Everything between the last picked card and this one, in on-screen order
+        const order = [...document.querySelectorAll('#boardContainer .task-card')].map(el => el.dataset.taskId);
+        const from = order.indexOf(state.lastSelectedTaskId);
+        const to = order.indexOf(taskId);
+        if (from >= 0 && to >= 0) {
+            order.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selected.add(id));
+        } else {
+            selected.add(taskId);
+        }
+    } else if (selected.has(taskId)) {
+        selected.delete(taskId);
+    } else {
+        selected.add(taskId);
+    }
+
+    state.lastSelectedTaskId = taskId;
+    renderTasks();
+}
+
+function clearTaskSelection() {
+    state.selectedTaskIds.clear();
+    state.lastSelectedTaskId = null;
+    renderTasks();
+}
+
+/**
+ * Selected tasks the current filters and search still show - bulk actions
+ * never touch hidden cards
+ */
+function getSelectedTasks() {
+    return filterTasks(state.tasks).filter(t => state.selectedTaskIds.has(t.id));
+}
+
+/**
+ * Floating action bar shown while cards are selected
+ */
+function renderBulkActionBar(visibleTasks = filterTasks(state.tasks)) {
+    // Drop selections of tasks that are gone or hidden by the filters/search
+    const visibleIds = new Set(visibleTasks.map(t => t.id));
+    for (const id of state.selectedTaskIds) {
+        if (!visibleIds.has(id)) state.selectedTaskIds.delete(id);
+    }
+
+    let bar = document.getElementById('bulkActionBar');
+    const count = state.selectedTaskIds.size;
+    if (count === 0) {
+        bar?.classList.remove('open');
         return;
     }
 
-    const agent = agentEl.value;
-    const prompt = input.value.trim();
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'bulkActionBar';
+        bar.className = 'bulk-action-bar';
+        document.body.appendChild(bar);
+    }
 
-    if (!prompt) {
-        showToast('נא להזין תיאור משימה', 'warning');
+    const selected = getSelectedTasks();
+    const failedCount = selected.filter(t => t.status === 'failed').length;
+    const columns = Object.entries(groupTasksBySession(state.tasks)).filter(([key]) => key !== '_scheduled');
+
+    bar.innerHTML = `
+        <span class="bulk-count">${count} נבחרו</span>
+        <button class="btn btn-small btn-primary" onclick="bulkStartTasks()">▶️ הפעל הכל</button>
+        <button class="btn btn-small btn-secondary" ${failedCount ? '' : 'disabled'} onclick="bulkRetryTasks()">🔄 נסה שוב (${failedCount})</button>
+        <select class="filter-select" onchange="bulkAssign('skill', this.value); this.value = ''">
+            <option value="">⚡ הקצה כישור...</option>
+            ${state.skills.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('')}
+        </select>
+        <select class="filter-select" onchange="bulkAssign('agent', this.value); this.value = ''">
+            <option value="">🤖 הקצה סוכן...</option>
+            ${state.agents.map(a => `<option value="${escapeHtml(a.id)}">${a.icon || '🤖'} ${escapeHtml(a.name)}</option>`).join('')}
+        </select>
+        <select class="filter-select" onchange="bulkMoveTasks(this.value); this.value = ''">
+            <option value="">📁 העבר לפרויקט...</option>
+            ${columns.map(([key, group]) => `<option value="${escapeHtml(key)}">${group.icon} ${escapeHtml(group.name)}</option>`).join('')}
+        </select>
+        <button class="btn btn-small btn-secondary" onclick="bulkArchiveTasks()">🗄️ ארכיון</button>
+        <button class="btn btn-small btn-danger" onclick="bulkDeleteTasks()">🗑️ מחק</button>
+        <button class="btn btn-small btn-secondary" title="נקה בחירה (Esc)" onclick="clearTaskSelection()">✕</button>
+    `;
+    bar.classList.add('open');
+}
+
+/**
+ * Start every selected task that isn't completed or blocked
+ */
+async function bulkStartTasks() {
+    if (!serverAvailable) {
+        showToast('השרת המקומי לא זמין - לא ניתן להפעיל משימות בכמות', 'warning');
         return;
     }
 
-    // Add to recent fixes
-    state.recentFixes.unshift({
-        prompt: prompt.substring(0, 50),
-        timestamp: new Date().toISOString()
-    });
+    const selected = getSelectedTasks();
+    const runnable = selected.filter(t => t.status !== 'completed' && t.status !== 'in_progress' && !isTaskBlocked(t));
+    const skipped = selected.length - runnable.length;
+    for (const task of runnable) {
+        await runTask(task);
+    }
 
-    // Keep only last 5
-    state.recentFixes = state.recentFixes.slice(0, 5);
-    renderRecentFixes();
+    renderTasks();
+    showToast(`הופעלו ${runnable.length} משימות${skipped ? ` (${skipped} דולגו)` : ''}`, 'success');
+}
 
-    // If server is available, execute immediately
-    if (serverAvailable) {
-        try {
-            showToast('Executing quick fix...', 'info');
+async function bulkRetryTasks() {
+    // retryTask would open the manual-command modal once per task
+    if (!serverAvailable) {
+        showToast('השרת המקומי לא זמין - לא ניתן לנסות שוב משימות בכמות', 'warning');
+        return;
+    }
 
-            const response = await fetch(getApiUrl('/api/quick-fix'), {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    task: prompt,
-                    workingDir: 'C:\\Users\\user\\Desktop',
-                    skill: null,
-                    agent: agent || null
-                })
-            });
+    const failed = getSelectedTasks().filter(t => t.status === 'failed');
+    for (const task of failed) {
+        await retryTask(task.id);
+    }
+    showToast(`${failed.length} משימות שנכשלו נשלחו לניסיון חוזר`, 'success');
+}
 
-            const result = await response.json();
+function bulkAssign(type, value) {
+    if (!value) return;
 
-            if (result.success) {
-                showToast(`Quick fix started! ID: ${result.fixId}`, 'success');
-                input.value = '';
-            } else {
-                throw new Error(result.error || 'Quick fix failed');
-            }
-        } catch (error) {
-            showToast(`Error: ${error.message}`, 'error');
-        }
-    } else {
-        // Save to localStorage for sync (with error handling)
-        try {
-            const pendingFixes = JSON.parse(localStorage.getItem('pending_quick_fixes') || '[]');
-            pendingFixes.push({
-                id: `qf_${Date.now()}`,
-                prompt,
-                agent,
-                created: new Date().toISOString()
-            });
-            localStorage.setItem('pending_quick_fixes', JSON.stringify(pendingFixes));
-        } catch (error) {
-            console.error('Failed to save quick fix:', error);
-        }
+    const field = type === 'skill' ? 'assigned_skill' : 'assigned_agent';
+    const selected = getSelectedTasks();
+    selected.forEach(task => {
+        task[field] = value;
+        saveTaskAssignment(task.id, type, value, { batch: true });
+    });
+    syncTaskAssignments();
+
+    renderTasks();
+    showToast(`${type === 'skill' ? 'כישור' : 'סוכן'} "${value}" הוקצה ל-${selected.length} משימות`, 'success');
+}
+
+function bulkMoveTasks(targetSession) {
+    if (!targetSession) return;
 
-        showToast('Server offline - Task saved for next sync', 'warning');
-        input.value = '';
-    }
+    const movable = getSelectedTasks().filter(t => t.source !== 'scheduled' && getTaskSessionKey(t) !== targetSession);
+    movable.forEach(task => moveTaskToSession(task.id, targetSession, { batch: true }));
+    syncTaskMoves();
+
+    renderTasks();
+    showToast(`${movable.length} משימות הועברו`, 'success');
 }
 
-function renderRecentFixes() {
-    const container = document.getElementById('recentFixes');
-    if (!container) return;
+function bulkArchiveTasks() {
+    const selected = getSelectedTasks().filter(t => !t.archived);
+    selected.forEach(task => setTaskArchived(task, true));
+    syncPendingTaskEdits();
 
-    // Create local copy to prevent race conditions
-    const fixes = [...state.recentFixes];
+    state.selectedTaskIds.clear();
+    renderTasks();
+    showToast(`${selected.length} משימות הועברו לארכיון`, 'success');
+}
 
-    container.innerHTML = fixes.map(fix => {
-        const prompt = fix.prompt || '';
-        return `
-            <li title="${escapeHtml(prompt)}">
-                ${escapeHtml(prompt)}${prompt ? '...' : ''}
-            </li>
-        `;
-    }).join('');
+function bulkDeleteTasks() {
+    const ids = getSelectedTasks().map(t => t.id);
+    if (!confirm(`למחוק ${ids.length} משימות?`)) return;
+
+    state.selectedTaskIds.clear();
+    deleteTasks(ids);
 }
 
 // ============================================================
-// SKILLS
+// TASK EDITING
 // ============================================================
 
-async function loadSkills() {
+/**
+ * Open the task modal pre-filled with an existing task
+ */
+function openTaskEditor(taskId) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    openModal('newTaskModal');
+    state.editingTaskId = taskId;
+    setTaskModalMode('edit');
+
+    document.getElementById('newTaskTitle').value = task.subject || '';
+    document.getElementById('newTaskDescription').value = task.description || '';
+    document.getElementById('newTaskWorkingDir').value = task.working_dir || '';
+
+    // Agent list is static in the HTML - add the task's agent if it's not there
+    const agentEl = document.getElementById('newTaskAgent');
+    if (task.assigned_agent && ![...agentEl.options].some(o => o.value === task.assigned_agent)) {
+        agentEl.add(new Option(task.assigned_agent, task.assigned_agent));
+    }
+    agentEl.value = task.assigned_agent || '';
+    document.getElementById('newTaskSkill').value = task.assigned_skill || '';
+
+    fillScheduleBuilder(task.schedule);
+}
+
+/**
+ * Save the task currently open in the editor
+ */
+function saveTaskEdit() {
+    const task = state.tasks.find(t => t.id === state.editingTaskId);
+    if (!task) {
+        showToast('Task no longer exists', 'error');
+        closeModal('newTaskModal');
+        return;
+    }
+
+    const form = readTaskForm();
+    if (!form) return;
+
+    // An unchanged interval keeps its cadence - the builder always stamps start = now
+    const old = task.schedule;
+    if (form.schedule?.type === 'interval' && old?.type === 'interval' && old.start &&
+        form.schedule.every === old.every && form.schedule.unit === old.unit) {
+        form.schedule.start = old.start;
+    }
+
+    const changes = {
+        subject: form.title,
+        description: form.description,
+        working_dir: form.workingDir,
+        schedule: form.schedule,
+        next_run: form.schedule ? (getNextRun(form.schedule)?.toISOString() || null) : null
+    };
+
+    Object.assign(task, changes);
+    task.assigned_skill = form.skill || null;
+    task.assigned_agent = form.agent || null;
+    task.last_updated = new Date().toISOString();
+
+    if (task._local) {
+        task.source = changes.schedule ? 'scheduled' : 'session';
+        saveTaskLocally(task);
+    } else {
+        // Skill/agent go through the existing assignments store
+        saveTaskAssignment(task.id, 'skill', task.assigned_skill, { batch: true });
+        saveTaskAssignment(task.id, 'agent', task.assigned_agent, { batch: true });
+        syncTaskAssignments();
+        savePendingTaskEdit(task.id, changes);
+        syncPendingTaskEdits();
+    }
+
+    renderTasks();
+    resetTaskForm();
+    closeModal('newTaskModal');
+    showToast('Task updated', 'success');
+}
+
+function savePendingTaskEdit(taskId, changes) {
+    // Save to localStorage for persistence (with error handling)
     try {
-        const response = await fetch('data/skills.json');
-        if (response.ok) {
-            const data = await response.json();
-            state.skills = data.skills.map(s => ({
-                id: s.id,
-                name: s.title || s.id,
-                description: s.description,
-                triggers: s.triggers || [],
-                categories: s.categories || []
-            }));
-            console.log(`Loaded ${state.skills.length} skills`);
-        } else {
-            throw new Error('Skills data not found');
-        }
+        const edits = JSON.parse(localStorage.getItem('pending_task_edits') || '{}');
+        edits[taskId] = {
+            changes: { ...(edits[taskId]?.changes || {}), ...changes },
+            base: captureBase(taskId, Object.keys(changes), edits[taskId]?.base),
+            changed_at: new Date().toISOString(),
+            synced: false
+        };
+        localStorage.setItem('pending_task_edits', JSON.stringify(edits));
     } catch (error) {
-        console.log('Loading sample skills:', error.message);
-        // Fallback to sample data
-        state.skills = [
-            { id: 'calendar', name: 'Calendar', description: 'תזמון אירועים' },
-            { id: 'whatsapp', name: 'WhatsApp', description: 'שליחת הודעות' },
-            { id: 'browser', name: 'Browser', description: 'אוטומציה בדפדפן' },
-            { id: 'r-analysis', name: 'R Analysis', description: 'ניתוח סטטיסטי' },
-            { id: 'schedule-task', name: 'Schedule Task', description: 'תזמון משימות' }
-        ];
+        console.error('Failed to save task edit:', error);
+        showToast('Failed to save task edit', 'error');
     }
-
-    renderSkills();
 }
 
-function renderSkills() {
-    const container = document.getElementById('skillsList');
-    const countEl = document.getElementById('skillsCount');
+function loadPendingTaskEdits() {
+    try {
+        const edits = JSON.parse(localStorage.getItem('pending_task_edits') || '{}');
+        let changed = false;
+
+        for (const [taskId, edit] of Object.entries(edits)) {
+            const task = state.tasks.find(t => t.id === taskId);
+            const outcome = task ? mergeLocalRecord('pending_task_edits', task, edit.changes, edit.base) : 'drop';
+
+            // Task no longer aggregated, or server data already reflects the edit
+            if (outcome === 'drop') {
+                delete edits[taskId];
+                changed = true;
+                continue;
+            }
 
-    if (countEl) countEl.textContent = state.skills.length;
+            if (outcome === 'apply') Object.assign(task, edit.changes);
+        }
 
-    if (!container) return;
+        if (changed) {
+            localStorage.setItem('pending_task_edits', JSON.stringify(edits));
+        }
+    } catch (error) {
+        console.error('Failed to load task edits:', error);
+    }
+}
 
-    container.innerHTML = state.skills.slice(0, 20).map(skill => `
-        <li draggable="true"
-            data-skill-id="${escapeHtml(skill.id)}"
-            onclick="selectSkill('${escapeHtml(skill.id)}')"
-            title="גרור למשימה להקצאה&#10;${escapeHtml(skill.description || '')}">
-            <span class="skill-name">⚡ ${escapeHtml(skill.name)}</span>
-            <span class="skill-desc">${escapeHtml((skill.description || '').substring(0, 30))}</span>
-        </li>
-    `).join('');
+/**
+ * Send unsynced task edits to the local server
+ */
+function syncPendingTaskEdits() {
+    return syncStoredTaskChanges('pending_task_edits', (taskId, edit) => ({
+        method: 'PATCH',
+        endpoint: getTaskApiPath(taskId),
+        body: { changes: edit.changes }
+    }));
+}
 
-    // Setup drag events after rendering
-    setupSkillAgentDragAndDrop();
+/**
+ * Persist field changes of a task: local tasks are re-queued whole,
+ * server tasks go through the pending edits store
+ */
+function persistTaskChanges(task, changes) {
+    storeTaskChanges(task, changes);
+    if (!task._local) syncPendingTaskEdits();
 }
 
-function selectSkill(skillId) {
-    const skill = state.skills.find(s => s.id === skillId);
-    if (skill) {
-        showToast(`כישור נבחר: ${skill.name}`, 'info');
+/**
+ * Like persistTaskChanges, without syncing - for batches that sync once at the end
+ */
+function storeTaskChanges(task, changes) {
+    if (task._local) {
+        saveTaskLocally(task);
+    } else {
+        savePendingTaskEdit(task.id, changes);
     }
 }
 
 // ============================================================
-// AGENTS
+// DELETE & ARCHIVE
 // ============================================================
 
-async function loadAgents() {
-    try {
-        const response = await fetch('data/agents.json');
-        if (response.ok) {
-            const data = await response.json();
-            state.agents = data.available || [];
-            console.log(`Loaded ${state.agents.length} agents`);
-        } else {
-            throw new Error('Agents data not found');
-        }
-    } catch (error) {
-        console.log('Loading sample agents:', error.message);
-        // Fallback to sample data
-        state.agents = [
-            { id: 'Explore', name: 'Explore', icon: '🔍', description: 'חיפוש בקוד' },
-            { id: 'Plan', name: 'Plan', icon: '📋', description: 'תכנון פתרונות' },
-            { id: 'Browser', name: 'Browser', icon: '🌐', description: 'אוטומציה בדפדפן' }
-        ];
+/**
+ * Archive (or unarchive) a task. Archived tasks are hidden unless the
+ * "Archived" status filter is selected.
+ */
+function archiveTask(taskId, archived = true) {
+    const task = state.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    setTaskArchived(task, archived);
+    syncPendingTaskEdits();
+    renderTasks();
+    showToast(archived ? 'המשימה הועברה לארכיון' : 'המשימה הוחזרה מהארכיון', 'success');
+}
+
+/**
+ * Set a task's archived flag and store it - callers sync (once per batch)
+ */
+function setTaskArchived(task, archived) {
+    const changes = {
+        archived,
+        archived_at: archived ? new Date().toISOString() : null
+    };
+    Object.assign(task, changes);
+    storeTaskChanges(task, changes);
+}
+
+function getAutoArchiveDays() {
+    const stored = parseFloat(localStorage.getItem('auto_archive_days'));
+    return Number.isFinite(stored) ? stored : CONFIG.autoArchiveDays;
+}
+
+/**
+ * Archive tasks that have been completed for longer than the auto-archive period.
+ * Tasks the user unarchived (archived === false) are left alone.
+ */
+function autoArchiveTasks() {
+    const days = getAutoArchiveDays();
+    if (!(days > 0)) return;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const due = state.tasks.filter(task => {
+        if (task.status !== 'completed' || task.archived != null) return false;
+        const completedAt = task.completed_at || task.last_updated || task.last_run;
+        return completedAt && new Date(completedAt).getTime() < cutoff;
+    });
+
+    due.forEach(task => setTaskArchived(task, true));
+    if (due.length > 0) {
+        syncPendingTaskEdits();
+        showToast(`${due.length} משימות שהושלמו לפני יותר מ-${days} ימים הועברו לארכיון`, 'info');
     }
+}
 
-    renderAgents();
+/**
+ * Delete a task. It disappears right away but is only removed for good
+ * once the undo window (CONFIG.undoDuration) has passed.
+ */
+function deleteTask(taskId) {
+    deleteTasks([taskId]);
 }
 
-function renderAgents() {
-    const container = document.getElementById('agentsList');
-    if (!container) return;
+/**
+ * Delete several tasks behind a single undo toast
+ */
+function deleteTasks(taskIds) {
+    const tasks = state.tasks.filter(t => taskIds.includes(t.id) && !state.pendingDeletes[t.id]);
+    if (tasks.length === 0) return;
+
+    tasks.forEach(task => {
+        state.pendingDeletes[task.id] = {
+            task,
+            timer: setTimeout(() => commitTaskDelete(task.id), CONFIG.undoDuration)
+        };
+    });
+    state.tasks = state.tasks.filter(t => !state.pendingDeletes[t.id]);
 
-    container.innerHTML = state.agents.map(agent => `
-        <div class="agent-card"
-             draggable="true"
-             data-agent-id="${escapeHtml(agent.id)}"
-             onclick="launchAgent('${escapeHtml(agent.id)}')"
-             title="גרור למשימה להקצאה">
-            <span class="agent-icon">${agent.icon || '🤖'}</span>
-            <div class="agent-info">
-                <span class="agent-name">${escapeHtml(agent.name)}</span>
-                <span class="agent-desc">${escapeHtml(agent.description_he || agent.description || '')}</span>
-            </div>
-            <span class="agent-status idle">פנוי</span>
-        </div>
-    `).join('');
+    updateStatistics(computeStatistics());
+    renderTasks();
 
-    // Setup drag events after rendering
-    setupSkillAgentDragAndDrop();
+    const ids = tasks.map(t => t.id);
+    const message = tasks.length === 1 ? `"${tasks[0].subject}" נמחקה` : `${tasks.length} משימות נמחקו`;
+    showToast(message, 'info', { label: '↩️ בטל', onClick: () => undoDeleteTasks(ids) });
 }
 
-function launchAgent(agentId) {
-    const agent = state.agents.find(a => a.id === agentId);
-    if (agent) {
-        showToast(`משיק ${agent.icon} ${agent.name}...`, 'info');
-        // In a real implementation, this would trigger the agent
+function undoDeleteTasks(taskIds) {
+    const restored = taskIds.map(id => state.pendingDeletes[id]).filter(Boolean);
+    if (restored.length === 0) return;
+
+    restored.forEach(pending => {
+        clearTimeout(pending.timer);
+        delete state.pendingDeletes[pending.task.id];
+        state.tasks.unshift(pending.task);
+    });
+
+    updateStatistics(computeStatistics());
+    renderTasks();
+    showToast('המחיקה בוטלה', 'success');
+}
+
+/**
+ * Undo window passed - drop local tasks from the queue, delete server tasks via the API
+ */
+function commitTaskDelete(taskId) {
+    const pending = state.pendingDeletes[taskId];
+    if (!pending) return;
+    delete state.pendingDeletes[taskId];
+
+    const { task } = pending;
+    if (task._local) {
+        try {
+            const pendingTasks = JSON.parse(localStorage.getItem('pending_new_tasks') || '[]');
+            localStorage.setItem('pending_new_tasks', JSON.stringify(pendingTasks.filter(t => t.id !== taskId)));
+        } catch (error) {
+            console.error('Failed to delete local task:', error);
+            showToast('Failed to delete task', 'error');
+            return;
+        }
+    }
+
+    // Local tasks that never reached the server are gone already
+    if (!task._local || task._synced_at) {
+        saveTaskDelete(taskId);
+        syncTaskDeletes();
     }
+    updateSyncBadge();
 }
 
-function createSkill() {
-    const desc = document.getElementById('skillDescription').value.trim();
-    if (!desc) {
-        showToast('נא להזין תיאור כישור', 'warning');
-        return;
+/**
+ * Commit every delete still inside its undo window (page is going away)
+ */
+function commitPendingDeletes() {
+    Object.entries(state.pendingDeletes).forEach(([taskId, pending]) => {
+        clearTimeout(pending.timer);
+        commitTaskDelete(taskId);
+    });
+}
+
+function saveTaskDelete(taskId) {
+    try {
+        const deletes = JSON.parse(localStorage.getItem('pending_task_deletes') || '{}');
+        deletes[taskId] = { changed_at: new Date().toISOString(), synced: false };
+        localStorage.setItem('pending_task_deletes', JSON.stringify(deletes));
+    } catch (error) {
+        console.error('Failed to save task delete:', error);
+        showToast('Failed to delete task', 'error');
     }
+}
 
-    // Queue the skill request (with error handling)
+/**
+ * Keep deleted tasks hidden until the server stops returning them
+ */
+function loadPendingTaskDeletes() {
     try {
-        const pendingRequests = JSON.parse(localStorage.getItem('pending_skill_requests') || '[]');
-        pendingRequests.push({
-            id: `sr_${Date.now()}`,
-            description: desc,
-            created: new Date().toISOString(),
-            status: 'pending'
-        });
-        localStorage.setItem('pending_skill_requests', JSON.stringify(pendingRequests));
+        const deletes = JSON.parse(localStorage.getItem('pending_task_deletes') || '{}');
+        let changed = false;
 
-        showToast(`כישור "${desc.substring(0, 30)}..." נשמר ליצירה`, 'success');
-        document.getElementById('skillDescription').value = '';
+        for (const taskId of Object.keys(deletes)) {
+            if (!state.tasks.some(t => t.id === taskId)) {
+                delete deletes[taskId];
+                changed = true;
+            }
+        }
+        state.tasks = state.tasks.filter(t => !deletes[t.id]);
 
-        // Show the pending request in a toast
-        setTimeout(() => {
-            showToast('הכישור ייווצר בסנכרון הבא עם Claude', 'info');
-        }, 1000);
+        if (changed) {
+            localStorage.setItem('pending_task_deletes', JSON.stringify(deletes));
+        }
     } catch (error) {
-        console.error('Failed to save skill request:', error);
-        showToast('Failed to save skill request', 'error');
+        console.error('Failed to load task deletes:', error);
+    }
+}
+
+function syncTaskDeletes() {
+    return syncStoredTaskChanges('pending_task_deletes', (taskId) => ({
+        method: 'DELETE',
+        endpoint: getTaskApiPath(taskId)
+    }));
+}
+
+// ============================================================
+// TOAST NOTIFICATIONS
+// ============================================================
+
+/**
+ * Show a toast. An optional action ({ label, onClick }) adds a button (e.g. Undo)
+ * and keeps the toast up for CONFIG.undoDuration.
+ */
+function showToast(message, type = 'info', action = null) {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+
+    const dismiss = () => {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            action.onClick();
+            dismiss();
+        });
+        toast.appendChild(button);
     }
-}
 
-/**
- * View all health log entries
- */
-function viewAllHealthLogs() {
-    // Open health results modal and show all logs
-    const modal = document.getElementById('healthResultsModal');
-    const resultsBody = document.getElementById('healthResultsBody');
+    container.appendChild(toast);
 
-    modal.classList.add('open');
-    resultsBody.innerHTML = `
-        <div class="health-fixes-list">
-            <h4>📊 היסטוריית בדיקות בריאות</h4>
-            <p style="color: var(--text-secondary); font-size: 12px;">
-                בדיקות בריאות מתבצעות אוטומטית כל 10 דקות.
-                <br>לצפייה ביומן המלא, בדוק את health-log.jsonl במחשב.
-            </p>
-        </div>
-    `;
+    setTimeout(dismiss, action ? CONFIG.undoDuration : CONFIG.toastDuration);
 }
 
 // ============================================================
-// MODAL
+// NOTIFICATION CENTER
 // ============================================================
 
-function openModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.classList.add('open');
+const NOTIFICATION_TYPES = {
+    task_failed: { icon: '❌', title: 'משימה נכשלה' },
+    run_completed: { icon: '✅', title: 'ריצה הושלמה' },
+    retry_exhausted: { icon: '⛔', title: 'מוצו הניסיונות החוזרים' },
+    schedule_missed: { icon: '⏰', title: 'משימה מתוזמנת לא רצה' },
+    health_degraded: { icon: '⚠️', title: 'מצב הבריאות הידרדר' }
+};
 
-        // Populate skills dropdown when opening new task modal
-        if (modalId === 'newTaskModal') {
-            populateSkillsDropdown();
-        }
+function loadNotifications() {
+    try {
+        state.notifications = JSON.parse(localStorage.getItem('notifications') || '[]');
+    } catch (error) {
+        console.error('Failed to read notifications:', error);
+        state.notifications = [];
     }
+    renderNotificationBadge();
 }
 
-function closeModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) modal.classList.remove('open');
+function storeNotifications() {
+    try {
+        state.notifications = state.notifications.slice(0, CONFIG.notificationLimit);
+        localStorage.setItem('notifications', JSON.stringify(state.notifications));
+    } catch (error) {
+        console.error('Failed to save notifications:', error);
+    }
 }
 
 /**
- * Populate skills dropdown in the new task modal
+ * What the last check saw: { tasks: { id: { status, last_run } }, missed: [keys], health: {...} }
  */
-function populateSkillsDropdown() {
-    const select = document.getElementById('newTaskSkill');
-    if (!select) return;
+function loadNotificationSeen() {
+    try {
+        return JSON.parse(localStorage.getItem('notification_seen') || '{}');
+    } catch (error) {
+        console.error('Failed to read notification state:', error);
+        return {};
+    }
+}
 
-    // Keep the first "none" option
-    select.innerHTML = '<option value="">ללא</option>';
+function storeNotificationSeen(seen) {
+    try {
+        localStorage.setItem('notification_seen', JSON.stringify(seen));
+    } catch (error) {
+        console.error('Failed to save notification state:', error);
+    }
+}
 
-    // Add all skills
-    state.skills.forEach(skill => {
-        const option = document.createElement('option');
-        option.value = skill.id;
-        option.textContent = `${skill.name} - ${(skill.description || '').substring(0, 30)}`;
-        select.appendChild(option);
-    });
+/**
+ * Add a notification ({ type, key, message, taskId }). The key keeps the same
+ * event from being notified twice.
+ */
+function addNotification({ type, key, message, taskId = null }) {
+    if (state.notifications.some(n => n.key === key)) return;
+
+    const notification = {
+        id: `n_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+        type,
+        key,
+        message,
+        taskId,
+        created: new Date().toISOString(),
+        read: false
+    };
+    state.notifications.unshift(notification);
+    storeNotifications();
+
+    renderNotificationBadge();
+    if (document.getElementById('notificationsPanel')?.classList.contains('open')) renderNotificationsPanel();
+    showDesktopNotification(notification);
 }
 
 /**
- * Save new task
+ * Compare tasks with what was seen last time (also across reloads): runs that
+ * failed or completed, exhausted retries and missed schedules become notifications
  */
-function saveNewTask() {
-    // Get form elements with null checks
-    const titleEl = document.getElementById('newTaskTitle');
-    const descEl = document.getElementById('newTaskDescription');
-    const workingDirEl = document.getElementById('newTaskWorkingDir');
-    const agentEl = document.getElementById('newTaskAgent');
-    const skillEl = document.getElementById('newTaskSkill');
-    const scheduleTimeEl = document.getElementById('scheduleTime');
+function checkTaskNotifications() {
+    const seen = loadNotificationSeen();
+    const firstCheck = !seen.tasks;
+    const seenTasks = seen.tasks || {};
+    const nextTasks = {};
+
+    state.tasks.forEach(task => {
+        const prev = seenTasks[task.id];
+        nextTasks[task.id] = { status: task.status, last_run: task.last_run || null };
+        if (!prev || (task.status !== 'failed' && task.status !== 'completed')) return;
+
+        // A run finished: there's a run we haven't seen, or the one we saw in progress is over.
+        // Failing again (failed -> failed) counts; dragging a card between columns doesn't.
+        const newRun = (task.last_run || null) !== prev.last_run;
+        const runEnded = prev.status === 'in_progress';
+        if (!newRun && !runEnded) return;
+
+        const runKey = `${task.id}:${task.last_run || task.last_updated || ''}`;
+        if (task.status === 'failed') {
+            const exhausted = isRetryExhausted(task);
+            addNotification({
+                type: exhausted ? 'retry_exhausted' : 'task_failed',
+                key: `${exhausted ? 'retry_exhausted' : 'task_failed'}:${runKey}`,
+                message: `${task.subject}${task.last_result ? ` - ${task.last_result.substring(0, 100)}` : ''}`,
+                taskId: task.id
+            });
+        } else if (task.status === 'completed') {
+            addNotification({ type: 'run_completed', key: `run_completed:${runKey}`, message: task.subject, taskId: task.id });
+        }
+    });
 
-    if (!titleEl) {
-        showToast('Form not found', 'error');
-        return;
+    const missed = findStuckTasks().filter(issue => issue.ruleId === 'missed-schedule');
+    const missedKeys = missed.map(issue => `schedule_missed:${issue.taskId}:${state.tasks.find(t => t.id === issue.taskId)?.next_run}`);
+    if (!firstCheck) {
+        missed.forEach((issue, i) => {
+            if ((seen.missed || []).includes(missedKeys[i])) return;
+            addNotification({ type: 'schedule_missed', key: missedKeys[i], message: `${issue.task} - ${issue.suggestion}`, taskId: issue.taskId });
+        });
     }
 
-    const title = titleEl.value.trim();
-    const description = descEl ? descEl.value.trim() : '';
-    const workingDir = workingDirEl ? workingDirEl.value.trim() : '';
-    const agent = agentEl ? agentEl.value : '';
-    const skill = skillEl ? skillEl.value : '';
-    const scheduleType = document.querySelector('input[name="schedule"]:checked')?.value || 'now';
-    const scheduleTime = scheduleTimeEl ? scheduleTimeEl.value : '';
+    storeNotificationSeen({ ...seen, tasks: nextTasks, missed: missedKeys });
+}
 
-    if (!title) {
-        showToast('Please enter a task title', 'warning');
-        return;
+/**
+ * Notify when a health check finds more failed or stuck tasks than the last one
+ */
+function checkHealthNotifications(results) {
+    const seen = loadNotificationSeen();
+    const current = { failed: results.failed, stuck: results.stuck.length };
+
+    if (seen.health && (current.failed > seen.health.failed || current.stuck > seen.health.stuck)) {
+        addNotification({
+            type: 'health_degraded',
+            key: `health_degraded:${results.timestamp}`,
+            message: `${current.failed} נכשלו, ${current.stuck} תקועות`
+        });
     }
 
-    if (!workingDir) {
-        showToast('Working directory is required!', 'warning');
-        if (workingDirEl) workingDirEl.focus();
-        return;
-    }
+    storeNotificationSeen({ ...seen, health: current });
+}
 
-    // Create task object
-    const newTask = {
-        id: `local_${Date.now()}`,
-        source: scheduleType === 'later' ? 'scheduled' : 'session',
-        type: 'task',
-        subject: title,
-        description: description,
-        working_dir: workingDir,
-        status: 'pending',
-        created: new Date().toISOString(),
-        last_updated: new Date().toISOString(),
-        assigned_skill: skill || null,
-        assigned_agent: agent || null,
-        project: 'Local Tasks',
-        project_name: 'Local Tasks',
-        _local: true,
-        _pendingSync: true
-    };
+function renderNotificationBadge() {
+    const btn = document.getElementById('notificationsBtn');
+    const badge = document.getElementById('notificationBadge');
+    if (!btn || !badge) return;
 
-    // Handle scheduling
-    if (scheduleType === 'later' && scheduleTime) {
-        newTask.schedule = {
-            type: 'once',
-            time: scheduleTime
-        };
-    }
+    const unread = state.notifications.filter(n => !n.read).length;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.hidden = unread === 0;
+    btn.setAttribute('aria-label', unread > 0 ? `הצג התראות (${unread} חדשות)` : 'הצג התראות');
+}
 
-    // Save to localStorage
-    saveTaskLocally(newTask);
+function toggleNotificationsPanel() {
+    let panel = document.getElementById('notificationsPanel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'notificationsPanel';
+        panel.className = 'notifications-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'התראות');
+        document.body.appendChild(panel);
+    }
 
-    // Add to current state for immediate display
-    state.tasks.unshift(newTask);
+    const isOpen = panel.classList.toggle('open');
+    document.getElementById('notificationsBtn')?.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+    if (isOpen) renderNotificationsPanel();
+}
 
-    // Update statistics
-    const stats = {
-        total: state.tasks.length,
-        by_status: {
-            pending: state.tasks.filter(t => t.status === 'pending').length,
-            in_progress: state.tasks.filter(t => t.status === 'in_progress').length,
-            completed: state.tasks.filter(t => t.status === 'completed').length,
-            failed: state.tasks.filter(t => t.status === 'failed').length
-        }
-    };
-    updateStatistics(stats);
+function closeNotificationsPanel() {
+    document.getElementById('notificationsPanel')?.classList.remove('open');
+    document.getElementById('notificationsBtn')?.setAttribute('aria-expanded', 'false');
+}
 
-    renderTasks();
+function renderNotificationsPanel() {
+    const panel = document.getElementById('notificationsPanel');
+    if (!panel) return;
+
+    const desktopSupported = 'Notification' in window;
+    const desktopOn = desktopSupported && localStorage.getItem('desktop_notifications') === 'true' &&
+        Notification.permission === 'granted';
+
+    panel.innerHTML = `
+        <div class="notifications-header">
+            <h3>🔔 התראות</h3>
+            <div class="notifications-header-actions">
+                <button class="btn btn-small btn-secondary" onclick="markAllNotificationsRead()"
+                        ${state.notifications.some(n => !n.read) ? '' : 'disabled'}>סמן הכל כנקרא</button>
+                <button class="btn btn-small btn-secondary" onclick="clearNotifications()"
+                        ${state.notifications.length > 0 ? '' : 'disabled'}>נקה</button>
+            </div>
+        </div>
+        <div class="notifications-list">
+            ${state.notifications.length === 0
+                ? '<p class="notifications-empty">אין התראות</p>'
+                : state.notifications.map(n => {
+                    const type = NOTIFICATION_TYPES[n.type] || { icon: '🔔', title: n.type };
+                    return `
+                        <button class="notification-item ${n.read ? '' : 'unread'}" onclick="openNotification('${escapeHtml(n.id)}')">
+                            <span class="notification-icon">${type.icon}</span>
+                            <span class="notification-text">
+                                <strong>${type.title}</strong>
+                                <span>${escapeHtml(n.message)}</span>
+                                <small title="${formatDate(n.created)}">${formatRelativeTime(n.created)}</small>
+                            </span>
+                        </button>
+                    `;
+                }).join('')}
+        </div>
+        <label class="notifications-desktop">
+            <input type="checkbox" ${desktopOn ? 'checked' : ''} ${desktopSupported ? '' : 'disabled'}
+                   onchange="setDesktopNotifications(this.checked)">
+            התראות שולחן עבודה${desktopSupported ? '' : ' (לא נתמך בדפדפן זה)'}
+        </label>
+    `;
+}
 
-    // Clear form and close modal (using previously validated elements)
-    if (titleEl) titleEl.value = '';
-    if (descEl) descEl.value = '';
-    if (workingDirEl) workingDirEl.value = '';
-    if (agentEl) agentEl.value = '';
-    if (skillEl) skillEl.value = '';
-    const nowRadio = document.querySelector('input[name="schedule"][value="now"]');
-    if (nowRadio) nowRadio.checked = true;
-    if (scheduleTimeEl) {
-        scheduleTimeEl.value = '';
-        scheduleTimeEl.classList.add('hidden');
+/**
+ * Mark a notification read and jump to its task
+ */
+function openNotification(id) {
+    const notification = state.notifications.find(n => n.id === id);
+    if (!notification) return;
+
+    notification.read = true;
+    storeNotifications();
+    renderNotificationBadge();
+    renderNotificationsPanel();
+
+    if (notification.taskId && state.tasks.some(t => t.id === notification.taskId)) {
+        closeNotificationsPanel();
+        openTaskDetails(notification.taskId);
     }
+}
 
-    closeModal('newTaskModal');
-    showToast('Task created successfully!', 'success');
+function markAllNotificationsRead() {
+    state.notifications.forEach(n => { n.read = true; });
+    storeNotifications();
+    renderNotificationBadge();
+    renderNotificationsPanel();
 }
 
-// ============================================================
-// TOAST NOTIFICATIONS
-// ============================================================
+function clearNotifications() {
+    state.notifications = [];
+    storeNotifications();
+    renderNotificationBadge();
+    renderNotificationsPanel();
+}
 
-function showToast(message, type = 'info') {
-    const container = document.getElementById('toastContainer');
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
+/**
+ * Turn browser desktop notifications on (asks for permission) or off
+ */
+async function setDesktopNotifications(enabled) {
+    if (enabled) {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showToast('הדפדפן חסם התראות שולחן עבודה', 'warning');
+            renderNotificationsPanel();
+            return;
+        }
+    }
 
-    container.appendChild(toast);
+    localStorage.setItem('desktop_notifications', String(enabled));
+    showToast(enabled ? 'התראות שולחן עבודה הופעלו' : 'התראות שולחן עבודה כובו', 'success');
+}
 
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        setTimeout(() => toast.remove(), 300);
-    }, CONFIG.toastDuration);
+function showDesktopNotification(notification) {
+    if (!('Notification' in window) || Notification.permission !== 'granted' ||
+        localStorage.getItem('desktop_notifications') !== 'true') return;
+
+    const type = NOTIFICATION_TYPES[notification.type] || { icon: '🔔', title: notification.type };
+    try {
+        const desktop = new Notification(`${type.icon} ${type.title}`, {
+            body: notification.message,
+            tag: notification.key
+        });
+        desktop.onclick = () => {
+            window.focus();
+            openNotification(notification.id);
+            desktop.close();
+        };
+    } catch (error) {
+        // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker
+        console.error('Desktop notification failed:', error);
+    }
 }
 
 // ============================================================
@@ -1812,6 +6228,203 @@ function handleViewChange(view) {
     renderTasks();
 }
 
+/**
+ * Sync the board/list and graph toggle buttons with state.viewMode
+ */
+function updateViewButtons() {
+    const toggleViewBtn = document.getElementById('toggleViewBtn');
+    const graphViewBtn = document.getElementById('graphViewBtn');
+
+    graphViewBtn?.classList.toggle('active', state.viewMode === 'graph');
+    if (toggleViewBtn) {
+        toggleViewBtn.textContent = state.viewMode === 'list' ? '☰' : '⊞';
+        toggleViewBtn.title = state.viewMode === 'list' ? 'תצוגת לוח' : 'תצוגת רשימה';
+    }
+}
+
+// ============================================================
+// SAVED VIEWS
+// ============================================================
+
+/**
+ * Current filters, search, view mode and board grouping - everything a saved view restores
+ */
+function getViewState() {
+    return {
+        filters: { ...state.filters },
+        viewMode: state.viewMode,
+        boardGroupBy: state.boardGroupBy,
+        sortBy: state.sortBy,
+        swimlane: state.swimlane
+    };
+}
+
+/**
+ * Restore a view state and sync the filter bar / view buttons with it
+ */
+function applyViewState(view) {
+    state.filters = { source: 'all', status: 'all', search: '', ...view.filters };
+    if (['board', 'list', 'graph'].includes(view.viewMode)) state.viewMode = view.viewMode;
+    if (['session', 'status'].includes(view.boardGroupBy)) state.boardGroupBy = view.boardGroupBy;
+    state.sortBy = SORT_KEYS[view.sortBy] ? view.sortBy : 'default';
+    state.swimlane = SWIMLANES[view.swimlane] ? view.swimlane : 'none';
+
+    const filterSourceEl = document.getElementById('filterSource');
+    const filterStatusEl = document.getElementById('filterStatus');
+    const searchInput = document.getElementById('searchInput');
+    const boardGroupByEl = document.getElementById('boardGroupBy');
+    if (filterSourceEl) filterSourceEl.value = state.filters.source;
+    if (filterStatusEl) filterStatusEl.value = state.filters.status;
+    if (searchInput) {
+        searchInput.value = state.filters.search;
+        updateSearchValidity(searchInput);
+    }
+    if (boardGroupByEl) boardGroupByEl.value = state.boardGroupBy;
+    const sortByEl = document.getElementById('sortBy');
+    const swimlaneEl = document.getElementById('swimlaneBy');
+    if (sortByEl) sortByEl.value = state.sortBy;
+    if (swimlaneEl) swimlaneEl.value = state.swimlane;
+    updateViewButtons();
+
+    renderTasks();
+}
+
+function loadSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem('saved_views') || '[]');
+    } catch (error) {
+        console.error('Failed to load saved views:', error);
+        return [];
+    }
+}
+
+function storeSavedViews(views) {
+    try {
+        localStorage.setItem('saved_views', JSON.stringify(views));
+    } catch (error) {
+        console.error('Failed to save views:', error);
+        showToast('Failed to save view', 'error');
+    }
+}
+
+/**
+ * Save the current filters as a named view (same name overwrites)
+ */
+function saveCurrentView() {
+    const name = (window.prompt('שם התצוגה (למשל "Failed scheduled jobs"):') || '').trim();
+    if (!name) return;
+
+    const views = loadSavedViews();
+    const existing = views.find(v => v.name === name);
+    const view = {
+        id: existing?.id || getUniqueViewId(name, views),
+        name,
+        ...getViewState(),
+        created: existing?.created || new Date().toISOString()
+    };
+
+    storeSavedViews(existing ? views.map(v => v.id === view.id ? view : v) : [...views, view]);
+    renderSavedViews();
+    setViewHash(view);
+    showToast(`התצוגה "${name}" נשמרה`, 'success');
+}
+
+function getUniqueViewId(name, views) {
+    const base = name.toLowerCase().trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'view';
+    let id = base;
+    for (let n = 2; views.some(v => v.id === id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+function deleteSavedView(viewId) {
+    const view = loadSavedViews().find(v => v.id === viewId);
+    if (!view || !confirm(`למחוק את התצוגה "${view.name}"?`)) return;
+
+    storeSavedViews(loadSavedViews().filter(v => v.id !== viewId));
+    if (getHashParams().get('view') === viewId) clearViewHash();
+    renderSavedViews();
+}
+
+function applySavedView(viewId) {
+    const view = loadSavedViews().find(v => v.id === viewId);
+    if (!view) return;
+
+    applyViewState(view);
+    setViewHash(view);
+    renderSavedViews();
+}
+
+function renderSavedViews() {
+    const list = document.getElementById('savedViewsList');
+    if (!list) return;
+
+    const views = loadSavedViews();
+    const activeId = getHashParams().get('view');
+
+    list.innerHTML = views.length ? views.map(view => `
+        <div class="nav-item saved-view ${view.id === activeId ? 'active' : ''}"
+             role="button" tabindex="0"
+             onclick="applySavedView('${escapeHtml(view.id)}')"
+             title="#view=${escapeHtml(view.id)}">
+            <span class="saved-view-name">⭐ ${escapeHtml(view.name)}</span>
+            <span class="remove-badge" title="מחק" onclick="event.stopPropagation(); deleteSavedView('${escapeHtml(view.id)}')">×</span>
+        </div>
+    `).join('') : '<p class="saved-views-empty">אין תצוגות שמורות</p>';
+
+    // A saved view is active - built-in items aren't
+    if (views.some(v => v.id === activeId)) {
+        document.querySelectorAll('.nav-item[data-view]').forEach(nav => nav.classList.remove('active'));
+    }
+}
+
+function getHashParams() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, ''));
+}
+
+/**
+ * Bookmarkable hash: the view id plus its settings, so the link also works
+ * in a browser that doesn't have the view saved
+ */
+function setViewHash(view) {
+    const params = new URLSearchParams();
+    params.set('view', view.id);
+    if (view.filters.source !== 'all') params.set('source', view.filters.source);
+    if (view.filters.status !== 'all') params.set('status', view.filters.status);
+    if (view.filters.search) params.set('q', view.filters.search);
+    params.set('mode', view.viewMode);
+    params.set('group', view.boardGroupBy);
+    if (view.sortBy && view.sortBy !== 'default') params.set('sort', view.sortBy);
+    if (view.swimlane && view.swimlane !== 'none') params.set('lanes', view.swimlane);
+    history.replaceState(null, '', `#${params.toString()}`);
+}
+
+function clearViewHash() {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Open the view named in the URL hash (#view=failed-scheduled-jobs&status=failed...)
+ */
+function applyHashView() {
+    const params = getHashParams();
+    const viewId = params.get('view');
+    if (!viewId) return;
+
+    const saved = loadSavedViews().find(v => v.id === viewId);
+    applyViewState(saved || {
+        filters: {
+            source: params.get('source') || 'all',
+            status: params.get('status') || 'all',
+            search: params.get('q') || ''
+        },
+        viewMode: params.get('mode'),
+        boardGroupBy: params.get('group'),
+        sortBy: params.get('sort'),
+        swimlane: params.get('lanes')
+    });
+    renderSavedViews();
+}
+
 // ============================================================
 // EVENT LISTENERS
 // ============================================================
@@ -1821,12 +6434,20 @@ document.addEventListener('DOMContentLoaded', () => {
     checkServerStatus();
 
     // Load data
+    loadNotifications();
     loadTasks();
     loadSkills();
     loadAgents();
+    renderQuickFixHistory();
+    loadHealthLog(); // Local history until the status check finds the server
+
+    // Task drag and drop is delegated from the board container
+    setupDragAndDrop();
 
-    // Periodically check server status
-    const serverCheckIntervalId = setInterval(checkServerStatus, CONFIG.serverCheckInterval);
+    // Periodically check server status (the push channel reports it while connected)
+    const serverCheckIntervalId = setInterval(() => {
+        if (!state.liveUpdates) checkServerStatus();
+    }, CONFIG.serverCheckInterval);
 
     // Menu toggle
     const menuToggle = document.getElementById('menuToggle');
@@ -1862,8 +6483,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const searchInput = document.getElementById('searchInput');
     if (searchInput) {
+        searchInput.title = QUERY_HELP;
         searchInput.addEventListener('input', (e) => {
             state.filters.search = e.target.value;
+            updateSearchValidity(e.target);
             renderTasks();
         });
     }
@@ -1901,18 +6524,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     const saveNewTaskBtn = document.getElementById('saveNewTask');
     if (saveNewTaskBtn) {
-        saveNewTaskBtn.addEventListener('click', saveNewTask);
+        saveNewTaskBtn.addEventListener('click', () => {
+            if (state.editingTaskId) {
+                saveTaskEdit();
+            } else {
+                saveNewTask();
+            }
+        });
     }
 
-    // Schedule toggle
+    // Schedule toggle and recurring schedule builder
     document.querySelectorAll('input[name="schedule"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const timeInput = document.getElementById('scheduleTime');
-            if (timeInput) {
-                timeInput.classList.toggle('hidden', e.target.value !== 'later');
-            }
-        });
+        radio.addEventListener('change', updateScheduleBuilder);
     });
+    document.getElementById('recurrenceOptions')?.addEventListener('input', updateScheduleBuilder);
+    updateScheduleBuilder();
 
     // Create skill
     const createSkillBtn = document.getElementById('createSkillBtn');
@@ -1957,7 +6583,55 @@ document.addEventListener('DOMContentLoaded', () => {
     // View all health logs button
     const viewAllHealthBtn = document.getElementById('viewAllHealthBtn');
     if (viewAllHealthBtn) {
-        viewAllHealthBtn.addEventListener('click', viewAllHealthLogs);
+        viewAllHealthBtn.addEventListener('click', () => viewAllHealthLogs());
+    }
+
+    // Board grouping (session columns / status columns)
+    const boardGroupBy = document.getElementById('boardGroupBy');
+    if (boardGroupBy) {
+        state.boardGroupBy = localStorage.getItem('board_group_by') === 'status' ? 'status' : 'session';
+        boardGroupBy.value = state.boardGroupBy;
+        boardGroupBy.addEventListener('change', (e) => {
+            state.boardGroupBy = e.target.value;
+            localStorage.setItem('board_group_by', state.boardGroupBy);
+            renderTasks();
+        });
+    }
+
+    // Sort order and swimlanes (board and list)
+    const sortBy = document.getElementById('sortBy');
+    if (sortBy) {
+        const stored = localStorage.getItem('board_sort');
+        state.sortBy = SORT_KEYS[stored] ? stored : 'default';
+        sortBy.value = state.sortBy;
+        sortBy.addEventListener('change', (e) => {
+            state.sortBy = e.target.value;
+            localStorage.setItem('board_sort', state.sortBy);
+            renderTasks();
+        });
+    }
+
+    const swimlaneBy = document.getElementById('swimlaneBy');
+    if (swimlaneBy) {
+        const stored = localStorage.getItem('board_swimlane');
+        state.swimlane = SWIMLANES[stored] ? stored : 'none';
+        swimlaneBy.value = state.swimlane;
+        swimlaneBy.addEventListener('change', (e) => {
+            state.swimlane = e.target.value;
+            localStorage.setItem('board_swimlane', state.swimlane);
+            renderTasks();
+        });
+    }
+
+    // Dependency graph toggle
+    const graphViewBtn = document.getElementById('graphViewBtn');
+    if (graphViewBtn) {
+        graphViewBtn.addEventListener('click', () => {
+            state.viewMode = state.viewMode === 'graph' ? 'board' : 'graph';
+            updateViewButtons();
+            renderTasks();
+            showToast(state.viewMode === 'graph' ? 'תצוגת תלויות' : 'תצוגת לוח', 'info');
+        });
     }
 
     // View toggle (board/list)
@@ -1965,8 +6639,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (toggleViewBtn) {
         toggleViewBtn.addEventListener('click', () => {
             state.viewMode = state.viewMode === 'board' ? 'list' : 'board';
-            toggleViewBtn.textContent = state.viewMode === 'board' ? '⊞' : '☰';
-            toggleViewBtn.title = state.viewMode === 'board' ? 'תצוגת רשימה' : 'תצוגת לוח';
+            updateViewButtons();
             renderTasks();
             showToast(state.viewMode === 'board' ? 'תצוגת לוח' : 'תצוגת רשימה', 'info');
         });
@@ -1982,6 +6655,9 @@ document.addEventListener('DOMContentLoaded', () => {
             document.querySelectorAll('.nav-item').forEach(nav => nav.classList.remove('active'));
             item.classList.add('active');
 
+            // Leaving a saved view
+            if (getHashParams().get('view')) clearViewHash();
+
             // Handle view change
             handleViewChange(view);
 
@@ -1995,14 +6671,27 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Saved views in the sidebar, reachable by #view= hash
+    document.getElementById('saveViewBtn')?.addEventListener('click', saveCurrentView);
+    renderSavedViews();
+    applyHashView();
+    window.addEventListener('hashchange', applyHashView);
+
     // Settings button
     document.getElementById('settingsBtn')?.addEventListener('click', () => {
         showToast('Settings coming soon', 'info');
     });
 
     // Notifications button
-    document.getElementById('notificationsBtn')?.addEventListener('click', () => {
-        showToast('No new notifications', 'info');
+    document.getElementById('notificationsBtn')?.addEventListener('click', toggleNotificationsPanel);
+
+    // Close the notifications panel on outside click
+    document.addEventListener('click', (e) => {
+        const panel = document.getElementById('notificationsPanel');
+        const btn = document.getElementById('notificationsBtn');
+        if (panel?.classList.contains('open') && !panel.contains(e.target) && !btn?.contains(e.target)) {
+            closeNotificationsPanel();
+        }
     });
 
     // Close sidebar on outside click (mobile) and update aria-expanded
@@ -2020,11 +6709,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-        // Escape to close modals
+        // Escape to close modals, or clear the bulk selection when none is open
         if (e.key === 'Escape') {
-            document.querySelectorAll('.modal.open, .health-results-modal.open').forEach(modal => {
+            const openModals = document.querySelectorAll('.modal.open, .health-results-modal.open');
+            openModals.forEach(modal => {
                 modal.classList.remove('open');
             });
+            closeNotificationsPanel();
+            if (openModals.length === 0 && state.selectedTaskIds.size > 0) clearTaskSelection();
         }
         // Ctrl+R to refresh
         if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
@@ -2039,15 +6731,23 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Auto-refresh with cleanup
+    // Auto-refresh with cleanup - only needed while there's no push channel
     const refreshIntervalId = setInterval(() => {
+        if (state.liveUpdates) return;
         loadTasks().catch(err => console.error('Auto-refresh failed:', err));
     }, CONFIG.refreshInterval);
 
     // Cleanup on page unload to prevent memory leaks
     window.addEventListener('beforeunload', () => {
+        // A reload inside the undo window must not bring deleted tasks back
+        commitPendingDeletes();
         clearInterval(refreshIntervalId);
         clearInterval(serverCheckIntervalId);
+        if (eventStream) eventStream.close();
+        Object.values(state.runs).forEach(run => {
+            if (run.eventSource) run.eventSource.close();
+            if (run.pollTimer) clearTimeout(run.pollTimer);
+        });
     });
 });
 
@@ -2071,6 +6771,31 @@ window.launchAgent = launchAgent;
 window.openTaskDetails = openTaskDetails;
 window.updateTaskAssignment = updateTaskAssignment;
 window.saveNewTask = saveNewTask;
+window.openTaskEditor = openTaskEditor;
 window.viewAllHealthLogs = viewAllHealthLogs;
+window.fixAndRetry = fixAndRetry;
+window.resolveStuckTask = resolveStuckTask;
+window.openNotification = openNotification;
+window.markAllNotificationsRead = markAllNotificationsRead;
+window.clearNotifications = clearNotifications;
+window.setDesktopNotifications = setDesktopNotifications;
 window.showRunTaskModal = showRunTaskModal;
 window.copyTaskCommand = copyTaskCommand;
+window.openRunConsole = openRunConsole;
+window.stopTask = stopTask;
+window.deleteTask = deleteTask;
+window.archiveTask = archiveTask;
+window.applySavedView = applySavedView;
+window.handleTaskCardClick = handleTaskCardClick;
+window.toggleTaskSelection = toggleTaskSelection;
+window.clearTaskSelection = clearTaskSelection;
+window.bulkStartTasks = bulkStartTasks;
+window.bulkRetryTasks = bulkRetryTasks;
+window.bulkAssign = bulkAssign;
+window.bulkMoveTasks = bulkMoveTasks;
+window.bulkArchiveTasks = bulkArchiveTasks;
+window.bulkDeleteTasks = bulkDeleteTasks;
+window.deleteSavedView = deleteSavedView;
+window.openConflictsModal = openConflictsModal;
+window.resolveConflict = resolveConflict;
+window.closeRunConsole = closeRunConsole;
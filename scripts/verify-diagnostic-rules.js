@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Check every diagnostic rule in app.js against its example tasks
+ *
+ * Usage: node scripts/verify-diagnostic-rules.js
+ * Exits with 1 if any example no longer diagnoses to its own rule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_PATH = path.join(__dirname, '..', 'app.js');
+
+/**
+ * Load app.js with just enough of a browser around it to define its functions
+ */
+function loadDashboard() {
+    const storage = {};
+    const sandbox = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        document: {
+            addEventListener() {},
+            getElementById() { return null; },
+            querySelector() { return null; },
+            querySelectorAll() { return []; }
+        },
+        localStorage: {
+            getItem: (key) => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: (key) => { delete storage[key]; }
+        },
+        location: { hash: '', search: '' },
+        navigator: {}
+    };
+    sandbox.window = sandbox;
+
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(APP_PATH, 'utf8'), sandbox, { filename: APP_PATH });
+    return sandbox;
+}
+
+function main() {
+    const dashboard = loadDashboard();
+    const failures = dashboard.verifyDiagnosticRules();
+    const ruleCount = vm.runInContext('DIAGNOSTIC_RULES.length', dashboard);
+    const exampleCount = vm.runInContext('DIAGNOSTIC_RULES.reduce((n, r) => n + r.examples.length, 0)', dashboard);
+
+    if (failures.length === 0) {
+        console.log(`✅ ${ruleCount} rules, ${exampleCount} examples - all diagnose to their own rule`);
+        return;
+    }
+
+    failures.forEach(({ rule, fixture, got }) => {
+        console.error(`❌ ${rule}: example diagnosed as ${got || 'nothing'}`);
+        console.error(`   ${JSON.stringify(fixture)}`);
+    });
+    console.error(`${failures.length} of ${exampleCount} examples failed`);
+    process.exit(1);
+}
+
+main();